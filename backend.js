@@ -4,13 +4,107 @@ const cors = require('cors');
 const nodemailer = require('nodemailer');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { Resend } = require('resend');
+const { renderEmail } = require('./emails');
+const { generateReport } = require('./reports');
+const { EXPORT_FORMATS, isExportFormat, getExportColumns, streamExport } = require('./exporters');
+const { MAX_PAGE_SIZE, listParam, buildListFilter, buildListQuery, paginate } = require('./helpers/query');
+const { DEFAULT_LEAD_SCORING, mergeScoringConfig, scoreLead, parseParticipants } = require('./helpers/scoring');
+const { routeNotification } = require('./helpers/notification-routing');
+const { DEFAULT_SPAM_CONFIG, SPAM_CONTROL_FIELDS, checkSubmission, fingerprintPayload } = require('./helpers/spam');
+const { EMAIL_PATTERN, validate, fromMongooseError } = require('./helpers/validation');
+const { createLogger, withLogContext, getLogContext } = require('./helpers/logger');
+const metrics = require('./helpers/metrics');
+const { createShutdownCoordinator } = require('./helpers/shutdown');
+const { parseCultureQuizConfig } = require('./helpers/culture-quiz');
+const { isPublicAddress, isLocalHostname, lookupPublicAddress } = require('./helpers/network');
+const { safeEqual, createSignedToken, readSignedToken, signReportLink, verifyReportLink, signWebhookPayload } = require('./helpers/signing');
+const {
+  ACTIVITY_TYPE_LABELS,
+  CURRENCY_LOCALES,
+  SUPPORTED_CURRENCIES,
+  formatCurrency
+} = require('./helpers/format');
 require('dotenv').config();
 
 const app = express();
+const logger = createLogger();
+// Render allows 30s between SIGTERM and SIGKILL; leave room for closing Mongo
+const shutdown = createShutdownCoordinator({
+  logger,
+  timeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 20 * 1000
+});
 
 // Trust Render's proxy (required for express-rate-limit behind Render/Heroku/etc.)
 app.set('trust proxy', 1);
 
+// Request IDs & access log — an incoming X-Request-Id is kept (so a trace can start at
+// the frontend or proxy), otherwise one is generated. It is echoed back in the response
+// and attached to every log line written while handling the request (see helpers/logger.js).
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.headers['x-request-id'];
+  req.id = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : undefined;
+    metrics.httpRequestDuration.observe(
+      { method: req.method, route: route || 'unmatched', status_code: res.statusCode },
+      durationMs / 1000
+    );
+
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    // Path only — query strings can carry search terms and emails
+    withLogContext({ requestId: req.id }, () => logger[level]('http request', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 10) / 10,
+      bytes: Number(res.get('Content-Length')) || undefined,
+      userAgent: req.headers['user-agent']
+    }));
+  });
+
+  withLogContext({ requestId: req.id }, next);
+});
+
+// Counts in-flight requests for the shutdown drain and answers 503 once shutdown has begun
+app.use(shutdown.middleware);
+
+// Submission outcomes per form for /metrics. Registered ahead of the rate limiters so
+// 429s are counted; handlers mark quarantined and duplicate submissions in res.locals.
+const SUBMISSION_PATHS = {
+  '/api/contact': 'contact',
+  '/api/roi-calculator': 'roi-calculator',
+  '/api/culture-quiz-results': 'culture-quiz',
+  '/api/culture-quiz-email': 'culture-quiz-email'
+};
+
+app.use((req, res, next) => {
+  const form = req.method === 'POST' && SUBMISSION_PATHS[req.path];
+  if (form) {
+    res.on('finish', () => {
+      const outcome = res.statusCode === 429 ? 'rate_limited'
+        : res.statusCode >= 500 ? 'error'
+        : res.statusCode >= 400 ? 'rejected'
+        : res.locals.submissionOutcome || 'accepted';
+      metrics.submissionsTotal.inc({ form, outcome });
+    });
+  }
+  next();
+});
+
 // Security middleware
 app.use(helmet());
 
@@ -23,6 +117,15 @@ const limiter = rateLimit({
   },
 });
 
+// Looser limit for the ROI preview, which the frontend calls as users move sliders
+const previewLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+  },
+});
+
 // CORS configuration
 const allowedOrigins = [
   'http://localhost:5173',
@@ -42,11 +145,12 @@ app.use(cors({
     // Allow explicitly listed origins
     if (allowedOrigins.includes(origin)) return callback(null, true);
     // Block everything else
-    console.warn(`❌ CORS blocked: ${origin}`);
+    logger.warn(`CORS blocked: ${origin}`);
     callback(new Error(`CORS blocked: ${origin}`));
   },
   credentials: true,
   methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed'],
 }));
 
 // Middleware
@@ -67,13 +171,26 @@ app.options('*', cors({
     callback(new Error(`CORS blocked: ${origin}`));
   },
   credentials: true,
-  methods: ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'PATCH', 'DELETE'],
 }));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('✅ Connected to MongoDB'))
-  .catch(err => console.error('❌ MongoDB connection error:', err));
+  .then(() => logger.info('Connected to MongoDB'))
+  .catch(err => logger.error('MongoDB connection error:', err));
+
+// Lead score snapshot stored on scored submissions and on each lead (see LEAD SCORING)
+const leadScoreSchema = new mongoose.Schema({
+  score: { type: Number },
+  tier: { type: String },
+  breakdown: [{
+    _id: false,
+    signal: { type: String },
+    value: { type: mongoose.Schema.Types.Mixed },
+    points: { type: Number }
+  }],
+  scoredAt: { type: Date }
+}, { _id: false });
 
 // ========================
 // CONTACT FORM SCHEMA & LOGIC
@@ -86,7 +203,7 @@ const contactSchema = new mongoose.Schema({
     required: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
   },
   phoneNumber: { type: String, trim: true, maxlength: 20 },
   companyName: { type: String, trim: true, maxlength: 100 },
@@ -104,9 +221,14 @@ const contactSchema = new mongoose.Schema({
   }],
   message: { type: String, trim: true, maxlength: 1000 },
   submittedAt: { type: Date, default: Date.now },
-  ipAddress: { type: String }
+  ipAddress: { type: String },
+  scoring: leadScoreSchema,
+  // Unified lead this submission belongs to (see LEADS)
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', index: true }
 }, { timestamps: true });
 
+contactSchema.index({ 'scoring.score': -1 });
+
 const Contact = mongoose.model('Contact', contactSchema);
 
 // ========================
@@ -128,7 +250,7 @@ const roiCalculatorSchema = new mongoose.Schema({
     required: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
   },
   phoneNumber: {
     type: String,
@@ -148,12 +270,26 @@ const roiCalculatorSchema = new mongoose.Schema({
     potentialRevenueIncreaseMin: { type: Number, required: true },
     potentialRevenueIncreaseMax: { type: Number, required: true }
   },
-  
+
+  // ROI model version that produced calculatedResults (see ROI MODEL VERSIONS)
+  modelVersion: { type: Number, default: 1 },
+
+  // Currency/locale the inputs and results are expressed in
+  currency: { type: String, uppercase: true, enum: SUPPORTED_CURRENCIES, default: 'INR' },
+  locale: { type: String, default: 'en-IN' },
+  // Locale-specific working days actually used for this calculation
+  workingDaysPerYear: { type: Number },
+
   // Metadata
   submittedAt: { type: Date, default: Date.now },
-  ipAddress: { type: String }
+  ipAddress: { type: String },
+  scoring: leadScoreSchema,
+  // Unified lead this submission belongs to (see LEADS)
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', index: true }
 }, { timestamps: true });
 
+roiCalculatorSchema.index({ 'scoring.score': -1 });
+
 const ROICalculator = mongoose.model('ROICalculator', roiCalculatorSchema);
 
 // ========================
@@ -167,7 +303,7 @@ const cultureQuizSchema = new mongoose.Schema({
     required: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
   },
   
   // Quiz Response Data
@@ -196,746 +332,3842 @@ const cultureQuizSchema = new mongoose.Schema({
   // Metadata
   submittedAt: { type: Date, default: Date.now },
   ipAddress: { type: String },
-  userAgent: { type: String }
+  userAgent: { type: String },
+  scoring: leadScoreSchema,
+  // Unified lead this submission belongs to (see LEADS)
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', index: true }
 }, { timestamps: true });
 
+cultureQuizSchema.index({ 'scoring.score': -1 });
+
 const CultureQuiz = mongoose.model('CultureQuiz', cultureQuizSchema);
 
 // ========================
-// EMAIL CONFIGURATION
-// - If BREVO_API_KEY is set: uses Brevo HTTP API (works on Render, no port issues)
-// - Otherwise: falls back to Brevo SMTP port 587 (works locally)
+// CULTURE QUIZ EMAIL SCHEMA
+// Email captured before the quiz is unlocked
 // ========================
 
-const smtpTransporter = nodemailer.createTransport({
-  host: 'smtp-relay.brevo.com',
-  port: 587,
-  secure: false,
-  auth: {
-    user: process.env.BREVO_SMTP_USER,
-    pass: process.env.BREVO_SMTP_PASS
-  }
-});
+const cultureQuizEmailSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
+  },
+  quizType: { type: String, default: 'culture_quiz' },
+  submittedAt: { type: Date, default: Date.now },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  // Unified lead this submission belongs to (see LEADS)
+  lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', index: true }
+}, { timestamps: true });
 
-async function sendEmail({ to, subject, html, replyTo }) {
-  const recipients = Array.isArray(to) ? to : [to];
-
-  // Use Brevo HTTP API if key is available (required on Render)
-  if (process.env.BREVO_API_KEY) {
-    const payload = {
-      sender: { name: 'OneThrive', email: process.env.SENDER_EMAIL },
-      to: recipients.map(email => ({ email })),
-      subject,
-      htmlContent: html,
-      ...(replyTo && { replyTo: { email: replyTo } })
-    };
+const CultureQuizEmail = mongoose.model('CultureQuizEmail', cultureQuizEmailSchema);
 
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: {
-        'accept': 'application/json',
-        'api-key': process.env.BREVO_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
+// ========================
+// LEAD SCORING
+// The engine lives in helpers/scoring.js. LEAD_SCORING_CONFIG (JSON) overrides
+// individual signals or the tier list, e.g.
+//   {"signals":{"numEmployees":{"bands":[{"min":500,"points":25}]}}}
+// Each scored submission stores its own score; a lead's score combines the
+// latest signals from all of its submissions.
+// ========================
 
-    const data = await response.json();
-    if (!response.ok) throw new Error(`Brevo API error ${response.status}: ${JSON.stringify(data)}`);
-    return data;
+function parseLeadScoringConfig(raw) {
+  if (!raw) return mergeScoringConfig(DEFAULT_LEAD_SCORING);
+  try {
+    return mergeScoringConfig(DEFAULT_LEAD_SCORING, JSON.parse(raw));
+  } catch (error) {
+    logger.warn('Ignoring invalid LEAD_SCORING_CONFIG:', error.message);
+    return mergeScoringConfig(DEFAULT_LEAD_SCORING);
   }
-
-  // Fallback: SMTP (works locally on port 587)
-  return smtpTransporter.sendMail({
-    from: `"OneThrive" <${process.env.SENDER_EMAIL}>`,
-    to: recipients.join(', '),
-    subject,
-    html,
-    ...(replyTo && { replyTo })
-  });
 }
 
-// Only verify SMTP locally — skip on Render to prevent connection timeout crash
-if (!process.env.RENDER) {
-  smtpTransporter.verify((error) => {
-    if (error) console.warn('⚠️  SMTP not available:', error.message);
-    else console.log('✅ SMTP ready (local mode)');
-  });
-}
-
-if (process.env.BREVO_API_KEY) {
-  console.log('✅ Email service: Brevo HTTP API');
-} else {
-  console.log('⚠️  Email service: SMTP fallback (set BREVO_API_KEY for production)');
-}
+const leadScoringConfig = parseLeadScoringConfig(process.env.LEAD_SCORING_CONFIG);
 
 // ========================
-// HELPER FUNCTIONS
+// LEADS
+// One Lead per normalised email, created or updated on every submission.
+// Each submission stores a `lead` reference, so a lead's timeline is the
+// union of its linked documents across the four collections.
+// The sales pipeline (status, owner, notes) lives on the lead, and every
+// change is appended to `history`.
 // ========================
 
-const formatActivityTypes = (activities) => {
-  if (!activities || activities.length === 0) return 'None selected';
-  const activityMap = {
-    'team-building': 'Team Building',
-    'wellness-programs': 'Wellness Programs',
-    'creative-workshops': 'Creative Workshops',
-    'sports-tournaments': 'Sports Tournaments',
-    'entertainment-events': 'Entertainment Events',
-    'offsite-retreats': 'Offsite Retreats'
-  };
-  return activities.map(activity => activityMap[activity] || activity).join(', ');
-};
+const LEAD_STATUSES = ['new', 'contacted', 'qualified', 'proposal', 'won', 'lost'];
 
-// Helper function to format numbers to Indian Rupees
-function formatINR(n) {
-  if (typeof n !== "number" || isNaN(n)) {
-    return "₹0";
-  }
-  return new Intl.NumberFormat('en-IN', {
-    style: 'currency',
-    currency: 'INR',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0,
-  }).format(n);
-}
+const leadNoteSchema = new mongoose.Schema({
+  body: { type: String, required: true, trim: true, maxlength: 5000 },
+  author: { type: String, required: true },
+  updatedBy: { type: String }
+}, { timestamps: true });
 
-// Helper function to format quiz answers for email
-function formatQuizAnswers(answers) {
-  if (!answers || typeof answers !== 'object') return 'No answers provided';
-  
-  let formattedAnswers = '';
-  for (const [questionId, score] of Object.entries(answers)) {
-    formattedAnswers += `Question ${questionId}: ${score} points\n`;
-  }
-  return formattedAnswers;
-}
+const leadChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed },
+  changedBy: { type: String, required: true },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
-// Helper function to get culture level description
-function getCultureLevelDescription(level) {
-  const descriptions = {
-    'THRIVING ECOSYSTEM': 'Your company demonstrates exceptional culture with high engagement and innovation.',
-    'GROWING GARDEN': 'Your company has a positive culture with room for strategic improvements.',
-    'BUDDING POTENTIAL': 'Your company shows promise but needs focused culture development.',
-    'DORMANT SEED': 'Your company requires significant culture transformation to unlock potential.'
-  };
-  return descriptions[level] || 'Culture assessment completed';
-}
+const leadSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
 
-// ROI Calculation Logic
-function calculateROI(data) {
-  const {
-    numEmployees,
-    avgAnnualSalary,
-    annualRevenue,
-    employeesWhoLeft,
-    avgExtraAbsenteeismDaysPerEmployee,
-    engagementScore
-  } = data;
+  // Profile, taken from the most recent submission that provided each field
+  fullName: { type: String, trim: true },
+  companyName: { type: String, trim: true },
+  phoneNumber: { type: String, trim: true },
 
-  // Configuration Constants
-  const DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR = 0.34;
-  const AVG_REPLACEMENT_COST_FACTOR = 1.25;
-  const WORKING_DAYS_PER_YEAR = 250;
-  const REVENUE_INCREASE_FACTOR_MIN = 0.02;
-  const REVENUE_INCREASE_FACTOR_MAX = 0.05;
+  firstSeenAt: { type: Date },
+  lastSeenAt: { type: Date },
+  lastInteraction: { type: String },
 
-  // Calculate turnover cost
-  const costPerReplacement = avgAnnualSalary * AVG_REPLACEMENT_COST_FACTOR;
-  const totalTurnoverCost = employeesWhoLeft * costPerReplacement;
+  interactions: {
+    contact: { type: Number, default: 0 },
+    roiCalculator: { type: Number, default: 0 },
+    cultureQuiz: { type: Number, default: 0 },
+    cultureQuizEmail: { type: Number, default: 0 }
+  },
 
-  // Calculate disengagement cost
-  const disengagementInfluenceFactor = (10 - engagementScore) / 10;
-  const avgDailySalary = avgAnnualSalary / WORKING_DAYS_PER_YEAR;
-  const productivityLossCost = numEmployees * avgAnnualSalary * disengagementInfluenceFactor * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
-  const absenteeismCost = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * disengagementInfluenceFactor;
-  const totalDisengagementCost = productivityLossCost + absenteeismCost;
+  // Latest known buying signals across all submissions, and the score they produce
+  signals: {
+    numEmployees: { type: Number },
+    annualRevenue: { type: Number },
+    totalHiddenLoss: { type: Number },
+    cultureLevel: { type: String },
+    participants: { type: Number },
+    activityType: { type: [String], default: undefined }
+  },
+  scoring: leadScoreSchema,
 
-  // Calculate total hidden loss
-  const totalHiddenLoss = totalTurnoverCost + totalDisengagementCost;
+  // Sales pipeline
+  status: { type: String, enum: LEAD_STATUSES, default: 'new' },
+  owner: { type: String, trim: true, maxlength: 100, default: null },
+  notes: [leadNoteSchema],
+  history: [leadChangeSchema]
+}, { timestamps: true });
 
-  // Calculate potential savings (by improving engagement score by 1-2 points)
-  const improvedEngagement1Pt = Math.min(10, engagementScore + 1);
-  const newDisengagementInfluenceFactor1Pt = (10 - improvedEngagement1Pt) / 10;
-  const newProductivityLossCost1Pt = numEmployees * avgAnnualSalary * newDisengagementInfluenceFactor1Pt * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
-  const newAbsenteeismCost1Pt = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * newDisengagementInfluenceFactor1Pt;
-  const newTotalDisengagementCost1Pt = newProductivityLossCost1Pt + newAbsenteeismCost1Pt;
-  const savings1Pt = totalDisengagementCost - newTotalDisengagementCost1Pt;
+leadSchema.index({ lastSeenAt: -1 });
+leadSchema.index({ status: 1, lastSeenAt: -1 });
+leadSchema.index({ 'scoring.score': -1 });
 
-  const improvedEngagement2Pt = Math.min(10, engagementScore + 2);
-  const newDisengagementInfluenceFactor2Pt = (10 - improvedEngagement2Pt) / 10;
-  const newProductivityLossCost2Pt = numEmployees * avgAnnualSalary * newDisengagementInfluenceFactor2Pt * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
-  const newAbsenteeismCost2Pt = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * newDisengagementInfluenceFactor2Pt;
-  const newTotalDisengagementCost2Pt = newProductivityLossCost2Pt + newAbsenteeismCost2Pt;
-  const savings2Pt = totalDisengagementCost - newTotalDisengagementCost2Pt;
+const Lead = mongoose.model('Lead', leadSchema);
 
-  // Calculate potential revenue increase
-  const potentialRevenueIncreaseMin = annualRevenue * REVENUE_INCREASE_FACTOR_MIN * ((engagementScore + 1) / 10);
-  const potentialRevenueIncreaseMax = annualRevenue * REVENUE_INCREASE_FACTOR_MAX * ((engagementScore + 2) / 10);
+// How each submission type maps onto a lead and appears in its timeline
+const LEAD_INTERACTIONS = {
+  cultureQuizEmail: {
+    model: CultureQuizEmail,
+    email: doc => doc.email,
+    profile: () => ({}),
+    signals: null,
+    summary: doc => ({ quizType: doc.quizType })
+  },
+  cultureQuiz: {
+    model: CultureQuiz,
+    email: doc => doc.email,
+    profile: () => ({}),
+    signals: doc => ({ cultureLevel: doc.cultureLevel && doc.cultureLevel.level }),
+    summary: doc => ({
+      level: doc.cultureLevel && doc.cultureLevel.level,
+      scorePercentage: doc.scorePercentage,
+      answeredCount: doc.answeredCount
+    })
+  },
+  roiCalculator: {
+    model: ROICalculator,
+    email: doc => doc.email,
+    profile: doc => ({ phoneNumber: doc.phoneNumber }),
+    // Monetary signals are scored in the reporting currency; unknown rates leave them out
+    signals: doc => ({
+      numEmployees: doc.numEmployees,
+      annualRevenue: convertToReportingCurrency(doc.annualRevenue, doc.currency || 'INR'),
+      totalHiddenLoss: doc.calculatedResults
+        ? convertToReportingCurrency(doc.calculatedResults.totalHiddenLoss, doc.currency || 'INR')
+        : undefined
+    }),
+    summary: doc => ({
+      numEmployees: doc.numEmployees,
+      currency: doc.currency || 'INR',
+      totalHiddenLoss: doc.calculatedResults && doc.calculatedResults.totalHiddenLoss
+    })
+  },
+  contact: {
+    model: Contact,
+    email: doc => doc.workEmail,
+    profile: doc => ({ fullName: doc.fullName, companyName: doc.companyName, phoneNumber: doc.phoneNumber }),
+    signals: doc => ({
+      participants: parseParticipants(doc.participants),
+      activityType: doc.activityType && doc.activityType.length > 0 ? [...doc.activityType] : undefined
+    }),
+    summary: doc => ({
+      companyName: doc.companyName,
+      participants: doc.participants,
+      activityType: doc.activityType,
+      message: doc.message
+    })
+  }
+};
 
-  return {
-    totalTurnoverCost,
-    totalDisengagementCost,
-    totalAbsenteeismCost: absenteeismCost,
-    totalHiddenLoss,
-    potentialSavingsMin: Math.max(0, savings1Pt),
-    potentialSavingsMax: Math.max(0, savings2Pt),
-    potentialRevenueIncreaseMin,
-    potentialRevenueIncreaseMax,
-  };
+const normaliseEmail = email => String(email || '').trim().toLowerCase();
+
+// Signals a submission actually provided (undefined/null values dropped)
+function getSubmissionSignals(type, doc) {
+  const { signals } = LEAD_INTERACTIONS[type];
+  if (!signals) return {};
+  return Object.fromEntries(
+    Object.entries(signals(doc)).filter(([, value]) => value !== undefined && value !== null)
+  );
 }
 
-// ========================
-// API ENDPOINTS
-// ========================
+// Score for a single submission from its own signals
+function scoreSubmission(type, doc) {
+  return scoreLead(getSubmissionSignals(type, doc), leadScoringConfig);
+}
 
-// Contact form submission endpoint
-app.post('/api/contact', async (req, res) => {
-  try {
-    const {
-      fullName,
-      workEmail,
-      phoneNumber,
-      companyName,
-      participants,
-      activityType,
-      message
-    } = req.body;
+// Upserts the lead for a saved submission (document or lean object) and links the submission to it
+async function recordLeadInteraction(type, doc) {
+  const interaction = LEAD_INTERACTIONS[type];
+  const email = normaliseEmail(interaction.email(doc));
+  const at = doc.submittedAt || doc.createdAt || new Date();
 
-    if (!fullName || !workEmail) {
-      return res.status(400).json({ error: 'Full name and email are required' });
-    }
+  const upsert = () => Lead.findOneAndUpdate(
+    { email },
+    {
+      $min: { firstSeenAt: at },
+      $max: { lastSeenAt: at },
+      $inc: { [`interactions.${type}`]: 1 }
+    },
+    { upsert: true, new: true }
+  );
 
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+  let lead;
+  try {
+    lead = await upsert();
+  } catch (error) {
+    // Two first submissions raced on the unique email — the second attempt updates the winner
+    if (error.code !== 11000) throw error;
+    lead = await upsert();
+  }
 
-    const contactData = new Contact({
-      fullName,
-      workEmail,
-      phoneNumber: phoneNumber || '',
-      companyName: companyName || '',
-      participants: participants || '',
-      activityType: activityType || [],
-      message: message || '',
-      ipAddress
-    });
+  // Newer submissions overwrite the profile and signals; older ones (e.g. during backfill) only fill gaps
+  const isLatest = at >= lead.lastSeenAt;
+  const updates = {};
+  for (const [field, value] of Object.entries(interaction.profile(doc))) {
+    if (value && (isLatest || !lead[field])) updates[field] = value;
+  }
+  if (isLatest) updates.lastInteraction = type;
 
-    await contactData.save();
+  const currentSignals = (lead.toObject().signals) || {};
+  const nextSignals = { ...currentSignals };
+  for (const [signal, value] of Object.entries(getSubmissionSignals(type, doc))) {
+    if (isLatest || currentSignals[signal] === undefined) nextSignals[signal] = value;
+  }
+  updates.signals = nextSignals;
+  updates.scoring = scoreLead(nextSignals, leadScoringConfig);
 
-    // Respond immediately after saving — don't wait for email
-    res.status(200).json({ success: true, message: 'Contact form submitted successfully' });
+  lead = await Lead.findByIdAndUpdate(lead._id, { $set: updates }, { new: true });
 
-    // Send email in background (non-blocking)
-    const emailSubject = `New Contact Form Submission - ${fullName}`;
-    const emailBody = `
-      <h2>New Contact Form Submission</h2>
-      <p><strong>Name:</strong> ${fullName}</p>
-      <p><strong>Email:</strong> ${workEmail}</p>
-      <p><strong>Phone:</strong> ${phoneNumber || 'Not provided'}</p>
-      <p><strong>Company:</strong> ${companyName || 'Not provided'}</p>
-      <p><strong>Participants:</strong> ${participants || 'Not specified'}</p>
-      <p><strong>Activities:</strong> ${formatActivityTypes(activityType)}</p>
-      <p><strong>Message:</strong> ${message || 'None'}</p>
-      <p><strong>IP Address:</strong> ${ipAddress}</p>
-    `;
-
-    // Send email in background (non-blocking)
-    sendEmail({ to: ['info@onethrive.in', 'smeet.s@onethrive.in'], subject: emailSubject, html: emailBody, replyTo: workEmail })
-      .then(() => console.log(`✅ Contact email sent for ${fullName}`))
-      .catch(err => console.error('❌ Failed to send contact email:', err.message));
+  await interaction.model.updateOne({ _id: doc._id }, { $set: { lead: lead._id } });
+  return lead;
+}
 
+// Used by the submission routes — a lead failure must not fail the submission (backfill catches it up)
+async function linkLead(type, doc) {
+  try {
+    return await recordLeadInteraction(type, doc);
   } catch (error) {
-    console.error('Error processing contact form:', error);
-    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    logger.error(`Failed to link ${type} submission ${doc._id} to a lead:`, error.message);
+    return null;
   }
-});
-
-// ROI Calculator submission endpoint
-app.post('/api/roi-calculator', async (req, res) => {
-  try {
-    const {
-      numEmployees,
-      avgAnnualSalary,
-      annualRevenue,
-      employeesWhoLeft,
-      avgExtraAbsenteeismDaysPerEmployee,
-      engagementScore,
-      email,
-      phoneNumber
-    } = req.body;
+}
 
-    // Validation
-    if (!numEmployees || !avgAnnualSalary || !annualRevenue || !email || !phoneNumber) {
-      return res.status(400).json({ error: 'All required fields must be provided' });
-    }
+// Routes accept either the lead id or the lead's email address
+async function findLead(idOrEmail) {
+  if (mongoose.isValidObjectId(idOrEmail)) return Lead.findById(idOrEmail).select('-__v');
+  if (String(idOrEmail).includes('@')) return Lead.findOne({ email: normaliseEmail(idOrEmail) }).select('-__v');
+  return null;
+}
 
-    if (employeesWhoLeft > numEmployees) {
-      return res.status(400).json({ error: 'Number of employees who left cannot be more than total employees' });
-    }
+// Applies status/owner changes and records each one in the lead's history.
+// Returns the list of changed fields (empty when nothing actually changed).
+function applyLeadChanges(lead, changes, changedBy) {
+  const changed = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (value === undefined || lead[field] === value) continue;
+    lead.history.push({ field, from: lead[field], to: value, changedBy });
+    lead[field] = value;
+    changed.push(field);
+  }
+  return changed;
+}
 
-    if (engagementScore < 1 || engagementScore > 10) {
-      return res.status(400).json({ error: 'Engagement score must be between 1 and 10' });
-    }
+// Every linked submission, oldest first
+async function getLeadTimeline(leadId) {
+  const groups = await Promise.all(
+    Object.entries(LEAD_INTERACTIONS).map(async ([type, interaction]) => {
+      const docs = await interaction.model.find({ lead: leadId }).lean();
+      return docs.map(doc => ({
+        type,
+        id: doc._id,
+        at: doc.submittedAt || doc.createdAt,
+        summary: interaction.summary(doc)
+      }));
+    })
+  );
+  return groups.flat().sort((a, b) => new Date(a.at) - new Date(b.at));
+}
 
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+// Recomputes a lead's signals and score from all of its linked submissions (oldest first, latest wins)
+async function rescoreLead(leadId) {
+  const submissions = [];
+  for (const [type, interaction] of Object.entries(LEAD_INTERACTIONS)) {
+    if (!interaction.signals) continue;
+    const docs = await interaction.model.find({ lead: leadId }).lean();
+    submissions.push(...docs.map(doc => ({ type, doc, at: doc.submittedAt || doc.createdAt })));
+  }
+  submissions.sort((a, b) => new Date(a.at) - new Date(b.at));
 
-    // Calculate ROI results
-    const calculatedResults = calculateROI({
-      numEmployees,
-      avgAnnualSalary,
-      annualRevenue,
-      employeesWhoLeft,
-      avgExtraAbsenteeismDaysPerEmployee,
-      engagementScore
-    });
+  const signals = Object.assign({}, ...submissions.map(({ type, doc }) => getSubmissionSignals(type, doc)));
+  await Lead.updateOne({ _id: leadId }, { $set: { signals, scoring: scoreLead(signals, leadScoringConfig) } });
+}
 
-    // Save to database
-    const roiData = new ROICalculator({
-      numEmployees,
-      avgAnnualSalary,
-      annualRevenue,
-      employeesWhoLeft,
-      avgExtraAbsenteeismDaysPerEmployee,
-      engagementScore,
-      email,
-      phoneNumber,
-      calculatedResults,
-      ipAddress
-    });
+// Long-running maintenance jobs started from the admin API. One run at a time;
+// progress is kept in memory and reported by the matching GET endpoint.
+function createJob(name, task) {
+  const state = { name, running: false, startedAt: null, finishedAt: null, progress: {}, error: null };
 
-    await roiData.save();
+  async function start() {
+    if (state.running) return false;
+    Object.assign(state, { running: true, startedAt: new Date(), finishedAt: null, progress: {}, error: null });
 
-    // Respond immediately after saving — don't wait for email
-    res.status(200).json({ 
-      success: true, 
-      message: 'ROI calculation submitted successfully',
-      results: calculatedResults
-    });
+    try {
+      // Safe to re-run, so a shutdown only waits for them up to its timeout
+      await shutdown.track(() => task(state.progress), name);
+      logger.info(`${name} complete:`, state.progress);
+    } catch (error) {
+      state.error = error.message;
+      logger.error(`${name} failed:`, error);
+    } finally {
+      state.running = false;
+      state.finishedAt = new Date();
+    }
+    return true;
+  }
 
-    // Send email in background (non-blocking)
-    const emailSubject = `New ROI Calculator Submission - ${email}`;
-    const emailBody = `
-      <h2>New ROI Calculator Submission</h2>
-      <h3>Contact Information:</h3>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>Phone:</strong> ${phoneNumber}</p>
-      <p><strong>IP Address:</strong> ${ipAddress}</p>
-      
-      <h3>Company Details:</h3>
-      <p><strong>Total Employees:</strong> ${numEmployees}</p>
-      <p><strong>Average Annual Salary:</strong> ${formatINR(avgAnnualSalary)}</p>
-      <p><strong>Annual Revenue:</strong> ${formatINR(annualRevenue)}</p>
-      <p><strong>Employees Who Left:</strong> ${employeesWhoLeft}</p>
-      <p><strong>Average Absenteeism Days:</strong> ${avgExtraAbsenteeismDaysPerEmployee}</p>
-      <p><strong>Engagement Score:</strong> ${engagementScore}/10</p>
-      
-      <h3>Calculated Results:</h3>
-      <p><strong>Total Turnover Cost:</strong> <span style="color: red;">${formatINR(calculatedResults.totalTurnoverCost)}</span></p>
-      <p><strong>Total Disengagement Cost:</strong> <span style="color: red;">${formatINR(calculatedResults.totalDisengagementCost)}</span></p>
-      <p><strong>Total Absenteeism Cost:</strong> <span style="color: red;">${formatINR(calculatedResults.totalAbsenteeismCost)}</span></p>
-      <p><strong>Total Hidden Loss:</strong> <span style="color: red; font-size: 18px;">${formatINR(calculatedResults.totalHiddenLoss)}</span></p>
-      <p><strong>Potential Savings:</strong> <span style="color: green;">${formatINR(calculatedResults.potentialSavingsMin)} - ${formatINR(calculatedResults.potentialSavingsMax)}</span></p>
-      <p><strong>Potential Revenue Increase:</strong> <span style="color: green;">${formatINR(calculatedResults.potentialRevenueIncreaseMin)} - ${formatINR(calculatedResults.potentialRevenueIncreaseMax)}</span></p>
-      
-      <p><strong>Submitted At:</strong> ${new Date().toLocaleString()}</p>
-    `;
-
-    // Send email in background (non-blocking)
-    sendEmail({ to: ['info@onethrive.in', 'smeet.s@onethrive.in'], subject: emailSubject, html: emailBody, replyTo: email })
-      .then(() => console.log(`✅ ROI email sent for ${email}`))
-      .catch(err => console.error('❌ Failed to send ROI email:', err.message));
+  return { state, start };
+}
 
-  } catch (error) {
-    console.error('Error processing ROI calculator:', error);
-    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+// Links every submission that has no lead yet. Safe to re-run: linked documents are skipped.
+const leadBackfillJob = createJob('Lead backfill', async progress => {
+  for (const [type, interaction] of Object.entries(LEAD_INTERACTIONS)) {
+    progress[type] = 0;
+    const cursor = interaction.model.find({ lead: { $exists: false } }).sort({ createdAt: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+      await recordLeadInteraction(type, doc);
+      progress[type] += 1;
+    }
   }
 });
 
-// Culture Quiz submission endpoint
-app.post('/api/culture-quiz-results', async (req, res) => {
-  try {
-    const {
-      email,
-      answers,
-      totalScore,
-      totalQuestions,
-      answeredCount,
-      cultureLevel
-    } = req.body;
+// Re-applies the current scoring config to every submission and lead (e.g. after changing LEAD_SCORING_CONFIG)
+const leadRescoreJob = createJob('Lead rescore', async progress => {
+  progress.submissions = 0;
+  progress.leads = 0;
 
-    // Validation
-    if (!email || !answers || totalScore === undefined || !totalQuestions || !answeredCount || !cultureLevel) {
-      return res.status(400).json({ error: 'All required fields must be provided' });
+  for (const [type, interaction] of Object.entries(LEAD_INTERACTIONS)) {
+    if (!interaction.signals) continue;
+    for await (const doc of interaction.model.find().lean().cursor()) {
+      await interaction.model.updateOne({ _id: doc._id }, { $set: { scoring: scoreSubmission(type, doc) } });
+      progress.submissions += 1;
     }
+  }
 
-    // Validate email format
-    const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({ error: 'Please enter a valid email address' });
-    }
+  for await (const lead of Lead.find().select('_id').lean().cursor()) {
+    await rescoreLead(lead._id);
+    progress.leads += 1;
+  }
+});
 
-    // Validate answers is an object
-    if (typeof answers !== 'object' || answers === null) {
-      return res.status(400).json({ error: 'Invalid answers format' });
-    }
+// ========================
+// EMAIL CONFIGURATION
+// Pluggable provider layer. Each driver exposes { name, send(message), verify() }.
+// - EMAIL_PROVIDER picks the primary driver: brevo | smtp | resend | outbox
+//   (defaults to brevo when BREVO_API_KEY is set, otherwise SMTP — the original behaviour)
+// - EMAIL_FALLBACK_PROVIDER optionally names a secondary driver used when the primary errors
+// - The outbox driver writes rendered messages to EMAIL_OUTBOX_DIR for local dev and tests
+// - Attachments are passed as [{ filename, contentType, content }] with base64 content
+// ========================
 
-    // Validate cultureLevel structure
-    if (!cultureLevel.level || !cultureLevel.description || !cultureLevel.cta) {
-      return res.status(400).json({ error: 'Invalid culture level data' });
-    }
+const EMAIL_SENDER_NAME = 'OneThrive';
 
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
-    const userAgent = req.headers['user-agent'] || 'unknown';
+function formatSender() {
+  return `"${EMAIL_SENDER_NAME}" <${process.env.SENDER_EMAIL}>`;
+}
 
-    // Calculate metrics
-    const scorePercentage = Math.round((totalScore / (totalQuestions * 14)) * 100);
-    const completionRate = Math.round((answeredCount / totalQuestions) * 100);
+// Brevo HTTP API (works on Render, no port issues)
+function createBrevoApiDriver() {
+  return {
+    name: 'brevo',
+    async send({ to, subject, html, text, replyTo, attachments = [] }) {
+      if (!process.env.BREVO_API_KEY) throw new Error('BREVO_API_KEY is not configured');
 
-    // Save to database
-    const quizData = new CultureQuiz({
-      email,
-      answers: new Map(Object.entries(answers)),
-      totalScore,
-      totalQuestions,
-      answeredCount,
-      cultureLevel,
+      const payload = {
+        sender: { name: EMAIL_SENDER_NAME, email: process.env.SENDER_EMAIL },
+        to: to.map(email => ({ email })),
+        subject,
+        htmlContent: html,
+        ...(text && { textContent: text }),
+        ...(replyTo && { replyTo: { email: replyTo } }),
+        ...(attachments.length > 0 && {
+          attachment: attachments.map(({ filename, content }) => ({ name: filename, content }))
+        })
+      };
+
+      const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+        method: 'POST',
+        headers: {
+          'accept': 'application/json',
+          'api-key': process.env.BREVO_API_KEY,
+          'content-type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+
+      const data = await response.json();
+      if (!response.ok) throw new Error(`Brevo API error ${response.status}: ${JSON.stringify(data)}`);
+      return data;
+    },
+    async verify() {
+      if (!process.env.BREVO_API_KEY) throw new Error('BREVO_API_KEY is not configured');
+      const response = await fetch('https://api.brevo.com/v3/account', {
+        headers: { 'accept': 'application/json', 'api-key': process.env.BREVO_API_KEY }
+      });
+      if (!response.ok) throw new Error(`Brevo API key rejected (${response.status})`);
+    }
+  };
+}
+
+// Generic SMTP — defaults to Brevo's relay on port 587 so existing BREVO_SMTP_* settings keep working
+function createSmtpDriver() {
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'smtp-relay.brevo.com',
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: {
+      user: process.env.SMTP_USER || process.env.BREVO_SMTP_USER,
+      pass: process.env.SMTP_PASS || process.env.BREVO_SMTP_PASS
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send({ to, subject, html, text, replyTo, attachments = [] }) {
+      return transporter.sendMail({
+        from: formatSender(),
+        to: to.join(', '),
+        subject,
+        html,
+        ...(text && { text }),
+        ...(replyTo && { replyTo }),
+        attachments: attachments.map(({ filename, contentType, content }) => ({
+          filename,
+          contentType,
+          content,
+          encoding: 'base64'
+        }))
+      });
+    },
+    verify() {
+      return transporter.verify();
+    }
+  };
+}
+
+function createResendDriver() {
+  const client = process.env.RESEND_API_KEY ? new Resend(process.env.RESEND_API_KEY) : null;
+
+  return {
+    name: 'resend',
+    async send({ to, subject, html, text, replyTo, attachments = [] }) {
+      if (!client) throw new Error('RESEND_API_KEY is not configured');
+
+      const { data, error } = await client.emails.send({
+        from: formatSender(),
+        to,
+        subject,
+        html,
+        ...(text && { text }),
+        ...(replyTo && { replyTo }),
+        ...(attachments.length > 0 && {
+          attachments: attachments.map(({ filename, content }) => ({
+            filename,
+            content: Buffer.from(content, 'base64')
+          }))
+        })
+      });
+      if (error) throw new Error(`Resend error: ${error.message || JSON.stringify(error)}`);
+      return data;
+    },
+    async verify() {
+      if (!client) throw new Error('RESEND_API_KEY is not configured');
+      const { error } = await client.domains.list();
+      if (error) throw new Error(`Resend API key rejected: ${error.message}`);
+    }
+  };
+}
+
+// Local outbox — writes each message to disk (and logs a one-liner) instead of sending it
+function createOutboxDriver() {
+  const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'outbox',
+    async send({ attachments = [], ...message }) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      const record = {
+        id,
+        from: formatSender(),
+        createdAt: new Date().toISOString(),
+        ...message,
+        attachments: attachments.map(({ filename, contentType }) => ({ filename, contentType, path: `${id}-${path.basename(filename)}` }))
+      };
+
+      await fs.promises.writeFile(path.join(outboxDir, `${id}.json`), JSON.stringify(record, null, 2));
+      await fs.promises.writeFile(path.join(outboxDir, `${id}.html`), message.html || '');
+      for (const { filename, content } of attachments) {
+        await fs.promises.writeFile(path.join(outboxDir, `${id}-${path.basename(filename)}`), Buffer.from(content, 'base64'));
+      }
+
+      // Subjects and addresses carry submitter details, so only the id and type are logged
+      logger.info(`Outbox: wrote ${message.type || 'email'} message ${id}`);
+      return { id, path: path.join(outboxDir, `${id}.json`) };
+    },
+    async verify() {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+    }
+  };
+}
+
+const EMAIL_DRIVERS = {
+  brevo: createBrevoApiDriver,
+  smtp: createSmtpDriver,
+  resend: createResendDriver,
+  outbox: createOutboxDriver
+};
+
+function createEmailDriver(name) {
+  const factory = EMAIL_DRIVERS[name];
+  if (!factory) {
+    throw new Error(`Unknown email provider "${name}" (expected one of: ${Object.keys(EMAIL_DRIVERS).join(', ')})`);
+  }
+  return factory();
+}
+
+const primaryEmailDriver = createEmailDriver(
+  process.env.EMAIL_PROVIDER || (process.env.BREVO_API_KEY ? 'brevo' : 'smtp')
+);
+const fallbackEmailDriver = process.env.EMAIL_FALLBACK_PROVIDER
+  ? createEmailDriver(process.env.EMAIL_FALLBACK_PROVIDER)
+  : null;
+
+async function sendEmail({ to, subject, html, text, replyTo, attachments = [], type }) {
+  const message = { to: Array.isArray(to) ? to : [to], subject, html, text, replyTo, attachments, type };
+
+  try {
+    const result = await primaryEmailDriver.send(message);
+    metrics.emailSendsTotal.inc({ provider: primaryEmailDriver.name, outcome: 'success' });
+    return { provider: primaryEmailDriver.name, result };
+  } catch (error) {
+    metrics.emailSendsTotal.inc({ provider: primaryEmailDriver.name, outcome: 'failure' });
+    if (!fallbackEmailDriver) throw error;
+
+    logger.warn(`Email provider ${primaryEmailDriver.name} failed (${error.message}), trying ${fallbackEmailDriver.name}`);
+    try {
+      const result = await fallbackEmailDriver.send(message);
+      metrics.emailSendsTotal.inc({ provider: fallbackEmailDriver.name, outcome: 'success' });
+      return { provider: fallbackEmailDriver.name, result };
+    } catch (fallbackError) {
+      metrics.emailSendsTotal.inc({ provider: fallbackEmailDriver.name, outcome: 'failure' });
+      throw fallbackError;
+    }
+  }
+}
+
+// Only verify SMTP locally — skip on Render to prevent connection timeout crash
+if (primaryEmailDriver.name !== 'smtp' || !process.env.RENDER) {
+  Promise.resolve(primaryEmailDriver.verify())
+    .then(() => logger.info(`Email service: ${primaryEmailDriver.name}`))
+    .catch(error => logger.warn(`Email service ${primaryEmailDriver.name} not available:`, error.message));
+}
+
+if (fallbackEmailDriver) {
+  logger.info(`Email fallback provider: ${fallbackEmailDriver.name}`);
+}
+
+// ========================
+// EMAIL OUTBOX (durable delivery)
+// Messages are saved to Mongo first, then delivered by a background worker.
+// Failed sends are retried with exponential backoff; after EMAIL_MAX_ATTEMPTS the
+// message is moved to the dead-letter state where admins can inspect and re-send it.
+// ========================
+
+const EMAIL_MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const EMAIL_RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS) || 30 * 1000;
+const EMAIL_RETRY_MAX_MS = 60 * 60 * 1000;
+const EMAIL_WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS) || 15 * 1000;
+// A message stuck in "sending" this long (e.g. the process died mid-send) is picked up again
+const EMAIL_SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const emailOutboxSchema = new mongoose.Schema({
+  // Message
+  to: [{ type: String, required: true }],
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  text: { type: String },
+  replyTo: { type: String },
+  attachments: [{
+    filename: { type: String, required: true },
+    contentType: { type: String },
+    content: { type: String, required: true } // base64
+  }],
+
+  // What triggered this email (e.g. "contact", "roi-calculator")
+  type: { type: String, required: true },
+  // Request that queued it, so its delivery logs share the submission's request ID
+  requestId: { type: String },
+
+  // Delivery state
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'dead'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: EMAIL_MAX_ATTEMPTS },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  provider: { type: String },
+  sentAt: { type: Date }
+}, { timestamps: true });
+
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const EmailOutbox = mongoose.model('EmailOutbox', emailOutboxSchema);
+
+function getEmailRetryDelay(attempts) {
+  return Math.min(EMAIL_RETRY_MAX_MS, EMAIL_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Persist a message to the outbox and nudge the worker. Resolves once the message is stored.
+async function queueEmail({ to, subject, html, text, replyTo, attachments = [] }, type) {
+  const entry = await EmailOutbox.create({
+    to: Array.isArray(to) ? to : [to],
+    subject,
+    html,
+    text,
+    replyTo,
+    attachments,
+    type,
+    requestId: getLogContext().requestId
+  });
+
+  setImmediate(() => processEmailOutbox().catch(err => logger.error('Email outbox worker error:', err.message)));
+  return entry;
+}
+
+async function claimNextEmail() {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - EMAIL_SENDING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'sending', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+async function deliverOutboxEmail(entry) {
+  try {
+    const { provider } = await sendEmail(entry.toObject());
+    await EmailOutbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: { status: 'sent', provider, sentAt: new Date(), lastError: null },
+        $inc: { attempts: 1 },
+        $unset: { lockedAt: 1 }
+      }
+    );
+    logger.info(`${entry.type} email sent (${entry._id})`);
+  } catch (error) {
+    const attempts = entry.attempts + 1;
+    const dead = attempts >= entry.maxAttempts;
+
+    await EmailOutbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: dead ? 'dead' : 'pending',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + getEmailRetryDelay(attempts))
+        },
+        $unset: { lockedAt: 1 }
+      }
+    );
+
+    if (dead) {
+      logger.error(`${entry.type} email moved to dead letters after ${attempts} attempts (${entry._id}):`, error.message);
+    } else {
+      logger.warn(`${entry.type} email attempt ${attempts}/${entry.maxAttempts} failed (${entry._id}):`, error.message);
+    }
+  }
+}
+
+let emailOutboxRunning = false;
+
+// Drain every due message. Only one drain runs at a time per process. Once shutdown
+// begins no new message is claimed; the one being sent is finished (and tracked).
+async function processEmailOutbox() {
+  if (emailOutboxRunning || mongoose.connection.readyState !== 1 || shutdown.isShuttingDown()) return;
+  emailOutboxRunning = true;
+
+  try {
+    await shutdown.track(async () => {
+      let entry;
+      while (!shutdown.isShuttingDown() && (entry = await claimNextEmail())) {
+        const current = entry;
+        await withLogContext({ requestId: current.requestId, emailId: String(current._id) }, () => deliverOutboxEmail(current));
+      }
+    }, 'Email outbox');
+  } finally {
+    emailOutboxRunning = false;
+  }
+}
+
+let emailOutboxTimer = null;
+
+function startEmailOutboxWorker() {
+  if (emailOutboxTimer) return;
+  emailOutboxTimer = setInterval(() => {
+    processEmailOutbox().catch(err => logger.error('Email outbox worker error:', err.message));
+  }, EMAIL_WORKER_INTERVAL_MS);
+  logger.info(`Email outbox worker started (every ${EMAIL_WORKER_INTERVAL_MS / 1000}s, max ${EMAIL_MAX_ATTEMPTS} attempts)`);
+}
+
+// Emails sent back to the person who submitted a form. Each one is on by default
+// and can be switched off with e.g. SUBMITTER_EMAIL_CONTACT=false.
+const SUBMITTER_EMAILS = {
+  contact: process.env.SUBMITTER_EMAIL_CONTACT !== 'false',
+  roiCalculator: process.env.SUBMITTER_EMAIL_ROI !== 'false',
+  cultureQuiz: process.env.SUBMITTER_EMAIL_CULTURE_QUIZ !== 'false'
+};
+
+const SUBMITTER_REPLY_TO = process.env.SUBMITTER_REPLY_TO || 'info@onethrive.in';
+
+// ========================
+// OUTBOUND WEBHOOKS
+// Admin-managed subscriptions receive a signed JSON POST for each new submission.
+// Deliveries are stored in Mongo and sent by a background worker (same pattern
+// as the email outbox): failures retry with exponential backoff, every attempt
+// is logged with its response code, and dead deliveries can be redelivered.
+//
+// Receivers verify the X-OneThrive-Signature header: "t=<unix seconds>,v1=<hex>"
+// where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`).
+// ========================
+
+const WEBHOOK_EVENTS = [
+  'contact.created',
+  'roi_calculation.created',
+  'culture_quiz.created',
+  'culture_quiz_email.created'
+];
+
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const WEBHOOK_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_WORKER_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_INTERVAL_MS) || 15 * 1000;
+const WEBHOOK_DELIVERING_TIMEOUT_MS = 5 * 60 * 1000;
+// Plain http targets and localhost/private-network hosts are only for local testing
+const WEBHOOK_ALLOW_HTTP = process.env.WEBHOOK_ALLOW_HTTP === 'true';
+const WEBHOOK_ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  // Event names from WEBHOOK_EVENTS, or "*" for all of them
+  events: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'], required: true }],
+  // Kept out of queries unless explicitly selected; only shown once on create/rotate
+  secret: { type: String, required: true, select: false },
+  description: { type: String, trim: true, maxlength: 200 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: String }
+}, { timestamps: true });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookSubscription', required: true },
+  event: { type: String, required: true },
+  // Stable across retries and redeliveries so receivers can de-duplicate
+  eventId: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: WEBHOOK_MAX_ATTEMPTS },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date },
+  lastError: { type: String },
+  lastStatusCode: { type: Number },
+  deliveredAt: { type: Date },
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  // Request that triggered it (see EMAIL OUTBOX)
+  requestId: { type: String },
+
+  // One entry per attempt
+  attemptLog: [{
+    _id: false,
+    at: { type: Date, default: Date.now },
+    statusCode: { type: Number },
+    durationMs: { type: Number },
+    error: { type: String },
+    responseBody: { type: String }
+  }]
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Error message for an unusable target URL, or null. Literal loopback, link-local
+// and private hosts are refused here (on create/update and before every delivery);
+// what a hostname resolves to is checked when the delivery connects, see
+// sendWebhookRequest.
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url));
+  } catch (error) {
+    return 'url must be a valid absolute URL';
+  }
+  if (parsed.protocol !== 'https:' && !(WEBHOOK_ALLOW_HTTP && parsed.protocol === 'http:')) {
+    return 'url must use https';
+  }
+  if (WEBHOOK_ALLOW_PRIVATE_HOSTS) return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (isLocalHostname(hostname)) {
+    return 'url must not point to a local or private host';
+  }
+  if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+    return 'url must not point to a local or private host';
+  }
+  return null;
+}
+
+function getWebhookRetryDelay(attempts) {
+  return Math.min(WEBHOOK_RETRY_MAX_MS, WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// Queue one delivery per active subscription listening for `event`.
+// Never throws — a webhook problem must not fail the submission that triggered it.
+async function emitWebhookEvent(event, data) {
+  try {
+    const subscriptions = await WebhookSubscription.find({ active: true, events: { $in: [event, '*'] } }).select('_id');
+    if (subscriptions.length === 0) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date().toISOString(), data };
+    await WebhookDelivery.insertMany(
+      subscriptions.map(subscription => ({ subscription: subscription._id, event, eventId, payload, requestId: getLogContext().requestId }))
+    );
+
+    setImmediate(() => processWebhookDeliveries().catch(err => logger.error('Webhook worker error:', err.message)));
+  } catch (error) {
+    logger.error(`Failed to queue ${event} webhooks:`, error.message);
+  }
+}
+
+// Submission document plus the lead it was linked to, as sent in webhook payloads
+function toWebhookSubmission(doc, lead) {
+  const { __v, ...submission } = doc.toObject();
+  return {
+    ...submission,
+    lead: lead ? { id: lead._id, email: lead.email, status: lead.status, scoring: lead.scoring } : null
+  };
+}
+
+async function claimNextWebhookDelivery() {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lte: new Date(now.getTime() - WEBHOOK_DELIVERING_TIMEOUT_MS) } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+const WEBHOOK_RESPONSE_BODY_LIMIT = 500;
+
+// POSTs `body` without following redirects. Resolves to { statusCode, responseBody }.
+// Unless WEBHOOK_ALLOW_PRIVATE_HOSTS is set, the connection is refused when the
+// hostname resolves to a non-public address — checked on the lookup used to
+// connect, so the answer can't change between the check and the request.
+function sendWebhookRequest(url, { headers, body }) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'http:' ? http : https;
+    let timedOut = false;
+
+    const fail = error => {
+      clearTimeout(timer);
+      reject(timedOut ? new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`) : error);
+    };
+
+    const request = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: WEBHOOK_ALLOW_PRIVATE_HOSTS ? undefined : lookupPublicAddress
+    }, response => {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        if (responseBody.length < WEBHOOK_RESPONSE_BODY_LIMIT) responseBody += chunk;
+      });
+      response.on('end', () => {
+        clearTimeout(timer);
+        resolve({ statusCode: response.statusCode, responseBody: responseBody.slice(0, WEBHOOK_RESPONSE_BODY_LIMIT) });
+      });
+      // Destroying the request mid-body surfaces on the response
+      response.on('error', fail);
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      request.destroy();
+    }, WEBHOOK_TIMEOUT_MS);
+
+    request.on('error', fail);
+    request.end(body);
+  });
+}
+
+// POSTs the payload once. Resolves to an attemptLog entry; `ok` is true for 2xx responses.
+async function postWebhook(subscription, delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+
+  const urlError = validateWebhookUrl(subscription.url);
+  if (urlError) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: `Refused: ${urlError}` };
+  }
+
+  try {
+    const { statusCode, responseBody } = await sendWebhookRequest(subscription.url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OneThrive-Webhooks/1.0',
+        'X-OneThrive-Event': delivery.event,
+        'X-OneThrive-Delivery': String(delivery._id),
+        'X-OneThrive-Signature': `t=${timestamp},v1=${signWebhookPayload(subscription.secret, timestamp, body)}`
+      },
+      body
+    });
+    const ok = statusCode >= 200 && statusCode < 300;
+
+    return {
+      ok,
+      statusCode,
+      durationMs: Date.now() - startedAt,
+      responseBody,
+      error: ok ? undefined : `HTTP ${statusCode}`
+    };
+  } catch (error) {
+    const reason = error.code === 'ENOTPUBLIC' ? `Refused: ${error.message}` : error.message;
+    return { ok: false, durationMs: Date.now() - startedAt, error: reason };
+  }
+}
+
+async function deliverWebhook(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+  const result = subscription && subscription.active
+    ? await postWebhook(subscription, delivery)
+    : { ok: false, error: 'Subscription deleted or disabled' };
+  const { ok, ...logEntry } = result;
+
+  const attempts = delivery.attempts + 1;
+  // Nothing to retry against once the subscription is gone
+  const dead = !ok && (attempts >= delivery.maxAttempts || !subscription || !subscription.active);
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status: ok ? 'delivered' : dead ? 'dead' : 'pending',
+        attempts,
+        lastError: ok ? null : logEntry.error,
+        lastStatusCode: logEntry.statusCode,
+        ...(ok && { deliveredAt: new Date() }),
+        ...(!ok && { nextAttemptAt: new Date(Date.now() + getWebhookRetryDelay(attempts)) })
+      },
+      $push: { attemptLog: { at: new Date(), ...logEntry } },
+      $unset: { lockedAt: 1 }
+    }
+  );
+
+  if (ok) {
+    logger.info(`${delivery.event} webhook delivered (${delivery._id})`);
+  } else if (dead) {
+    logger.error(`${delivery.event} webhook moved to dead letters after ${attempts} attempts (${delivery._id}):`, logEntry.error);
+  } else {
+    logger.warn(`${delivery.event} webhook attempt ${attempts}/${delivery.maxAttempts} failed (${delivery._id}):`, logEntry.error);
+  }
+}
+
+let webhookWorkerRunning = false;
+
+// Deliver every due webhook. Only one run at a time per process; stops claiming on shutdown.
+async function processWebhookDeliveries() {
+  if (webhookWorkerRunning || mongoose.connection.readyState !== 1 || shutdown.isShuttingDown()) return;
+  webhookWorkerRunning = true;
+
+  try {
+    await shutdown.track(async () => {
+      let delivery;
+      while (!shutdown.isShuttingDown() && (delivery = await claimNextWebhookDelivery())) {
+        const current = delivery;
+        await withLogContext({ requestId: current.requestId, deliveryId: String(current._id) }, () => deliverWebhook(current));
+      }
+    }, 'Webhook deliveries');
+  } finally {
+    webhookWorkerRunning = false;
+  }
+}
+
+let webhookWorkerTimer = null;
+
+function startWebhookWorker() {
+  if (webhookWorkerTimer) return;
+  webhookWorkerTimer = setInterval(() => {
+    processWebhookDeliveries().catch(err => logger.error('Webhook worker error:', err.message));
+  }, WEBHOOK_WORKER_INTERVAL_MS);
+  logger.info(`Webhook worker started (every ${WEBHOOK_WORKER_INTERVAL_MS / 1000}s, max ${WEBHOOK_MAX_ATTEMPTS} attempts)`);
+}
+
+// ========================
+// NOTIFICATION ROUTING
+// Team notification recipients come from rules stored in Mongo and managed via
+// /api/admin/notification-rules, checked in priority order (lowest first) by
+// helpers/notification-routing.js. When nothing matches,
+// NOTIFICATION_DEFAULT_RECIPIENTS (comma-separated) is used.
+// ========================
+
+const NOTIFICATION_DEFAULT_RECIPIENTS = (process.env.NOTIFICATION_DEFAULT_RECIPIENTS || 'info@onethrive.in,smeet.s@onethrive.in')
+  .split(',')
+  .map(email => email.trim())
+  .filter(Boolean);
+
+const NOTIFICATION_FORM_TYPES = Object.keys(LEAD_INTERACTIONS);
+const NOTIFICATION_RULES_CACHE_MS = 60 * 1000;
+
+const notificationRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  priority: { type: Number, default: 100 },
+  active: { type: Boolean, default: true },
+
+  // Conditions — leave a condition empty to ignore it
+  conditions: {
+    formTypes: [{ type: String, enum: NOTIFICATION_FORM_TYPES }],
+    activityTypes: [{ type: String, enum: Object.keys(ACTIVITY_TYPE_LABELS) }],
+    cultureLevels: [{ type: String, trim: true, uppercase: true }],
+    // Company size is numEmployees (ROI calculator) or the first number in participants (contact form)
+    minCompanySize: { type: Number, min: 0 },
+    maxCompanySize: { type: Number, min: 0 }
+  },
+
+  recipients: [{
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
+  }],
+  stopProcessing: { type: Boolean, default: true },
+
+  createdBy: { type: String },
+  updatedBy: { type: String }
+}, { timestamps: true });
+
+notificationRuleSchema.path('recipients').validate(recipients => recipients.length > 0, 'At least one recipient is required');
+
+const NotificationRule = mongoose.model('NotificationRule', notificationRuleSchema);
+
+// Rules change rarely — keep them in memory briefly and drop the cache on every admin change
+let notificationRulesCache = { rules: null, loadedAt: 0 };
+
+async function getNotificationRules() {
+  if (notificationRulesCache.rules && Date.now() - notificationRulesCache.loadedAt < NOTIFICATION_RULES_CACHE_MS) {
+    return notificationRulesCache.rules;
+  }
+  const rules = await NotificationRule.find({ active: true }).sort({ priority: 1, createdAt: 1 }).lean();
+  notificationRulesCache = { rules, loadedAt: Date.now() };
+  return rules;
+}
+
+function invalidateNotificationRules() {
+  notificationRulesCache = { rules: null, loadedAt: 0 };
+}
+
+// Recipients for a submission's team notification. Facts come from the submission,
+// filled in with what the lead already told us (e.g. numEmployees from an earlier ROI calculation).
+// Routing problems fall back to the default recipients rather than losing the notification.
+async function getNotificationRecipients(formType, doc, lead) {
+  try {
+    const leadSignals = lead && lead.signals ? lead.toObject().signals : {};
+    const signals = { ...leadSignals, ...getSubmissionSignals(formType, doc) };
+    const facts = {
+      formType,
+      activityType: signals.activityType || [],
+      companySize: signals.numEmployees ?? signals.participants,
+      cultureLevel: signals.cultureLevel
+    };
+
+    const { recipients, matchedRules } = routeNotification(await getNotificationRules(), facts, NOTIFICATION_DEFAULT_RECIPIENTS);
+    if (matchedRules.length > 0) {
+      logger.info(`${formType} notification routed by ${matchedRules.join(', ')} → ${recipients.join(', ')}`);
+    }
+    return recipients;
+  } catch (error) {
+    logger.error('Notification routing failed, using default recipients:', error.message);
+    return NOTIFICATION_DEFAULT_RECIPIENTS;
+  }
+}
+
+// ========================
+// SPAM FILTERING
+// Public submissions go through the checks in helpers/spam.js, plus a count of
+// identical payloads seen within SPAM_REPEAT_WINDOW_MINUTES. A suspicious
+// submission is stored in the quarantine collection instead of being saved —
+// no lead, emails or webhooks — while the sender still gets the normal success
+// response. Admins either release it (running the normal pipeline) or confirm
+// it as spam. SPAM_FILTER=off disables the checks; SPAM_BLOCKED_DOMAINS
+// (comma-separated) extends the disposable-domain list.
+// ========================
+
+const SPAM_FILTER_ENABLED = process.env.SPAM_FILTER !== 'off';
+const SPAM_REPEAT_WINDOW_MS = (parseInt(process.env.SPAM_REPEAT_WINDOW_MINUTES) || 60) * 60 * 1000;
+const SPAM_MAX_REPEATS = parseInt(process.env.SPAM_MAX_REPEATS) || 3;
+
+const spamConfig = {
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || DEFAULT_SPAM_CONFIG.honeypotField,
+  minSubmitMs: parseInt(process.env.SPAM_MIN_SUBMIT_MS) || DEFAULT_SPAM_CONFIG.minSubmitMs,
+  maxLinks: parseInt(process.env.SPAM_MAX_LINKS) || DEFAULT_SPAM_CONFIG.maxLinks,
+  disposableDomains: [
+    ...DEFAULT_SPAM_CONFIG.disposableDomains,
+    ...listParam(process.env.SPAM_BLOCKED_DOMAINS || '').map(domain => domain.toLowerCase())
+  ]
+};
+
+const QUARANTINE_STATUSES = ['quarantined', 'released', 'spam'];
+
+// One entry per public submission; expired entries are removed by the TTL index
+const submissionFingerprintSchema = new mongoose.Schema({
+  formType: { type: String, required: true },
+  fingerprint: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const quarantinedSubmissionSchema = new mongoose.Schema({
+  formType: { type: String, required: true, enum: Object.keys(LEAD_INTERACTIONS) },
+  email: { type: String },
+  // The submission exactly as it would have been saved (same _id once released)
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  reasons: [{ type: String }],
+  fingerprint: { type: String },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  status: { type: String, enum: QUARANTINE_STATUSES, default: 'quarantined', index: true },
+  reviewedBy: { type: String },
+  reviewedAt: { type: Date }
+}, { timestamps: true });
+
+quarantinedSubmissionSchema.index({ status: 1, createdAt: -1 });
+
+const SubmissionFingerprint = mongoose.model('SubmissionFingerprint', submissionFingerprintSchema);
+const QuarantinedSubmission = mongoose.model('QuarantinedSubmission', quarantinedSubmissionSchema);
+
+// Counts earlier copies of this payload and records this one. Fails open — a
+// database hiccup here shouldn't turn genuine submissions away.
+async function countRepeatedPayloads(formType, fingerprint) {
+  try {
+    const now = Date.now();
+    const repeats = await SubmissionFingerprint.countDocuments({ fingerprint, expiresAt: { $gt: new Date(now) } });
+    await SubmissionFingerprint.create({ formType, fingerprint, expiresAt: new Date(now + SPAM_REPEAT_WINDOW_MS) });
+    return repeats;
+  } catch (error) {
+    logger.error('Spam repeat check failed:', error.message);
+    return 0;
+  }
+}
+
+// Runs the spam checks on a validated, unsaved submission. Returns true when it
+// was quarantined, in which case the caller must not process it any further.
+async function quarantineIfSuspicious(req, formType, doc) {
+  if (!SPAM_FILTER_ENABLED) return false;
+
+  const body = req.body || {};
+  const email = LEAD_INTERACTIONS[formType].email(doc);
+  const reasons = checkSubmission({
+    body,
+    email,
+    text: Object.values(body).filter(value => typeof value === 'string'),
+    // A form token's issue time is when the form loaded, and unlike formStartedAt the client can't forge it
+    startedAt: req.formToken && req.formToken.iat
+  }, spamConfig);
+
+  // Honeypot, timing and token fields change on every load, so leave them out of the fingerprint
+  const ignored = [spamConfig.honeypotField, ...SPAM_CONTROL_FIELDS, ...FORM_TOKEN_FIELDS];
+  const fingerprint = fingerprintPayload(formType, Object.fromEntries(
+    Object.entries(body).filter(([key]) => !ignored.includes(key))
+  ));
+  if (await countRepeatedPayloads(formType, fingerprint) >= SPAM_MAX_REPEATS) {
+    reasons.push('repeated-payload');
+  }
+
+  if (reasons.length === 0) return false;
+
+  const item = await QuarantinedSubmission.create({
+    formType,
+    email,
+    payload: doc.toObject({ flattenMaps: true }),
+    reasons,
+    fingerprint,
+    ipAddress: doc.ipAddress,
+    userAgent: req.headers['user-agent'] || 'unknown'
+  });
+
+  logger.warn(`${formType} submission quarantined as ${item._id} (${reasons.join(', ')})`);
+  req.res.locals.submissionOutcome = 'quarantined';
+  return true;
+}
+
+// ========================
+// HELPER FUNCTIONS
+// ========================
+
+// Helper function to get culture level description
+function getCultureLevelDescription(level) {
+  const descriptions = {
+    'THRIVING ECOSYSTEM': 'Your company demonstrates exceptional culture with high engagement and innovation.',
+    'GROWING GARDEN': 'Your company has a positive culture with room for strategic improvements.',
+    'BUDDING POTENTIAL': 'Your company shows promise but needs focused culture development.',
+    'DORMANT SEED': 'Your company requires significant culture transformation to unlock potential.'
+  };
+  return descriptions[level] || 'Culture assessment completed';
+}
+
+// ========================
+// CULTURE QUIZ QUESTION BANK & SCORING
+// The backend owns the questions, option points and level thresholds; the content
+// comes from CULTURE_QUIZ_CONFIG (JSON, required — see helpers/culture-quiz.js for
+// the shape and the contract with the frontend).
+// Clients submit raw answers ({ questionId: points }); everything else is computed here.
+// ========================
+
+const { questions: CULTURE_QUIZ_QUESTIONS, levels: CULTURE_LEVELS } = parseCultureQuizConfig(process.env.CULTURE_QUIZ_CONFIG);
+
+// Checked top-down: the first level whose minimum percentage is met wins
+function getCultureLevel(scorePercentage) {
+  const match = CULTURE_LEVELS.find(({ minPercentage }) => scorePercentage >= minPercentage)
+    || CULTURE_LEVELS[CULTURE_LEVELS.length - 1];
+
+  return {
+    level: match.level,
+    description: [getCultureLevelDescription(match.level)],
+    cta: match.cta
+  };
+}
+
+// Validates raw answers against the question bank and computes the authoritative result.
+// Returns { errors } when any answer references an unknown question or an invalid option.
+function scoreCultureQuiz(answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { errors: ['Answers must be an object of questionId → points'] };
+  }
+
+  const questionsById = new Map(CULTURE_QUIZ_QUESTIONS.map(question => [question.id, question]));
+  const errors = [];
+  const normalisedAnswers = {};
+  let totalScore = 0;
+
+  for (const [questionId, rawPoints] of Object.entries(answers)) {
+    const question = questionsById.get(String(questionId));
+    if (!question) {
+      errors.push(`Unknown question "${questionId}"`);
+      continue;
+    }
+    const points = Number(rawPoints);
+    if (!question.options.some(option => option.points === points)) {
+      errors.push(`Invalid answer for question ${questionId}`);
+      continue;
+    }
+    normalisedAnswers[question.id] = points;
+    totalScore += points;
+  }
+
+  const answeredCount = Object.keys(normalisedAnswers).length;
+  if (answeredCount === 0 && errors.length === 0) {
+    errors.push('At least one question must be answered');
+  }
+  if (errors.length > 0) return { errors };
+
+  const totalQuestions = CULTURE_QUIZ_QUESTIONS.length;
+  const maxScore = CULTURE_QUIZ_QUESTIONS.reduce(
+    (sum, question) => sum + Math.max(...question.options.map(option => option.points)),
+    0
+  );
+  const scorePercentage = Math.round((totalScore / maxScore) * 100);
+  const completionRate = Math.round((answeredCount / totalQuestions) * 100);
+
+  return {
+    answers: normalisedAnswers,
+    totalScore,
+    maxScore,
+    totalQuestions,
+    answeredCount,
+    scorePercentage,
+    completionRate,
+    cultureLevel: getCultureLevel(scorePercentage)
+  };
+}
+
+// ========================
+// ROI MODEL VERSIONS
+// The assumptions behind calculateROI are stored as numbered, immutable versions.
+// The highest version is the active one; every ROICalculator document records the
+// version that produced its calculatedResults so old reports can be reproduced.
+// ========================
+
+// Version 1 — the constants the calculator shipped with
+const DEFAULT_ROI_MODEL_PARAMETERS = {
+  disengagementProductivityLossFactor: 0.34,
+  avgReplacementCostFactor: 1.25,
+  workingDaysPerYear: 250,
+  revenueIncreaseFactorMin: 0.02,
+  revenueIncreaseFactorMax: 0.05
+};
+
+const roiModelSchema = new mongoose.Schema({
+  version: { type: Number, required: true, unique: true, min: 1 },
+  parameters: {
+    disengagementProductivityLossFactor: { type: Number, required: true, min: 0, max: 1 },
+    avgReplacementCostFactor: { type: Number, required: true, min: 0 },
+    workingDaysPerYear: { type: Number, required: true, min: 1, max: 366 },
+    revenueIncreaseFactorMin: { type: Number, required: true, min: 0, max: 1 },
+    revenueIncreaseFactorMax: { type: Number, required: true, min: 0, max: 1 }
+  },
+  notes: { type: String, trim: true, maxlength: 1000 },
+  publishedBy: { type: String },
+  publishedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+const RoiModel = mongoose.model('RoiModel', roiModelSchema);
+
+// Latest published model; seeds version 1 from the defaults on first use
+async function getActiveRoiModel() {
+  const latest = await RoiModel.findOne().sort({ version: -1 }).lean();
+  if (latest) return latest;
+
+  try {
+    const seeded = await RoiModel.create({
+      version: 1,
+      parameters: DEFAULT_ROI_MODEL_PARAMETERS,
+      notes: 'Initial model (original hardcoded assumptions)',
+      publishedBy: 'system'
+    });
+    return seeded.toObject();
+  } catch (error) {
+    // Another request seeded it first
+    if (error.code === 11000) return RoiModel.findOne({ version: 1 }).lean();
+    throw error;
+  }
+}
+
+async function getRoiModel(version) {
+  if (version === 1) {
+    const stored = await RoiModel.findOne({ version: 1 }).lean();
+    return stored || { version: 1, parameters: DEFAULT_ROI_MODEL_PARAMETERS };
+  }
+  return RoiModel.findOne({ version }).lean();
+}
+
+// ========================
+// CURRENCY & LOCALE
+// - Each supported locale has a default currency and may override model assumptions
+//   (e.g. working days per year); anything not overridden comes from the ROI model
+// - Admin aggregates are normalised to REPORTING_CURRENCY with CURRENCY_RATES,
+//   a JSON map of "units of reporting currency per 1 unit", e.g. {"USD": 83.5}
+// ========================
+
+const LOCALE_PROFILES = {
+  'en-IN': { currency: 'INR' },
+  'en-AE': { currency: 'AED', workingDaysPerYear: 242 },
+  'en-SG': { currency: 'SGD', workingDaysPerYear: 246 },
+  'en-US': { currency: 'USD', workingDaysPerYear: 251 }
+};
+
+const SUPPORTED_LOCALES = Object.keys(LOCALE_PROFILES);
+
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'INR').toUpperCase();
+
+function parseCurrencyRates(raw) {
+  const rates = { [REPORTING_CURRENCY]: 1 };
+  if (!raw) return rates;
+
+  try {
+    for (const [currency, rate] of Object.entries(JSON.parse(raw))) {
+      if (Number.isFinite(Number(rate)) && Number(rate) > 0) rates[currency.toUpperCase()] = Number(rate);
+    }
+  } catch (error) {
+    logger.warn('Ignoring invalid CURRENCY_RATES:', error.message);
+  }
+  return rates;
+}
+
+const currencyRates = parseCurrencyRates(process.env.CURRENCY_RATES);
+
+// Fills in the currency/locale pair for a request. Both are already checked against
+// SUPPORTED_CURRENCIES / SUPPORTED_LOCALES by the request schema; either may be missing.
+function resolveCurrencyLocale({ currency, locale }) {
+  const resolvedCurrency = currency || LOCALE_PROFILES[locale]?.currency || 'INR';
+  return {
+    currency: resolvedCurrency,
+    locale: locale || CURRENCY_LOCALES[resolvedCurrency]
+  };
+}
+
+// Model parameters with the locale's overrides applied
+function applyLocaleDefaults(parameters, locale) {
+  const { currency, ...overrides } = LOCALE_PROFILES[locale] || {};
+  return { ...parameters, ...overrides };
+}
+
+// Every monetary result formatted for display in the calculation's currency
+function formatROIResults(results, currency, locale) {
+  return Object.fromEntries(
+    Object.entries(results).map(([key, value]) => [key, formatCurrency(value, currency, locale)])
+  );
+}
+
+function convertToReportingCurrency(amount, currency) {
+  const rate = currencyRates[currency];
+  return rate ? amount * rate : null;
+}
+
+// ROI Calculation Logic
+function calculateROI(data, parameters = DEFAULT_ROI_MODEL_PARAMETERS) {
+  const {
+    numEmployees,
+    avgAnnualSalary,
+    annualRevenue,
+    employeesWhoLeft,
+    avgExtraAbsenteeismDaysPerEmployee,
+    engagementScore
+  } = data;
+
+  // Model assumptions (see ROI MODEL VERSIONS)
+  const DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR = parameters.disengagementProductivityLossFactor;
+  const AVG_REPLACEMENT_COST_FACTOR = parameters.avgReplacementCostFactor;
+  const WORKING_DAYS_PER_YEAR = parameters.workingDaysPerYear;
+  const REVENUE_INCREASE_FACTOR_MIN = parameters.revenueIncreaseFactorMin;
+  const REVENUE_INCREASE_FACTOR_MAX = parameters.revenueIncreaseFactorMax;
+
+  // Calculate turnover cost
+  const costPerReplacement = avgAnnualSalary * AVG_REPLACEMENT_COST_FACTOR;
+  const totalTurnoverCost = employeesWhoLeft * costPerReplacement;
+
+  // Calculate disengagement cost
+  const disengagementInfluenceFactor = (10 - engagementScore) / 10;
+  const avgDailySalary = avgAnnualSalary / WORKING_DAYS_PER_YEAR;
+  const productivityLossCost = numEmployees * avgAnnualSalary * disengagementInfluenceFactor * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
+  const absenteeismCost = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * disengagementInfluenceFactor;
+  const totalDisengagementCost = productivityLossCost + absenteeismCost;
+
+  // Calculate total hidden loss
+  const totalHiddenLoss = totalTurnoverCost + totalDisengagementCost;
+
+  // Calculate potential savings (by improving engagement score by 1-2 points)
+  const improvedEngagement1Pt = Math.min(10, engagementScore + 1);
+  const newDisengagementInfluenceFactor1Pt = (10 - improvedEngagement1Pt) / 10;
+  const newProductivityLossCost1Pt = numEmployees * avgAnnualSalary * newDisengagementInfluenceFactor1Pt * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
+  const newAbsenteeismCost1Pt = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * newDisengagementInfluenceFactor1Pt;
+  const newTotalDisengagementCost1Pt = newProductivityLossCost1Pt + newAbsenteeismCost1Pt;
+  const savings1Pt = totalDisengagementCost - newTotalDisengagementCost1Pt;
+
+  const improvedEngagement2Pt = Math.min(10, engagementScore + 2);
+  const newDisengagementInfluenceFactor2Pt = (10 - improvedEngagement2Pt) / 10;
+  const newProductivityLossCost2Pt = numEmployees * avgAnnualSalary * newDisengagementInfluenceFactor2Pt * DISENGAGEMENT_PRODUCTIVITY_LOSS_FACTOR;
+  const newAbsenteeismCost2Pt = numEmployees * avgExtraAbsenteeismDaysPerEmployee * avgDailySalary * newDisengagementInfluenceFactor2Pt;
+  const newTotalDisengagementCost2Pt = newProductivityLossCost2Pt + newAbsenteeismCost2Pt;
+  const savings2Pt = totalDisengagementCost - newTotalDisengagementCost2Pt;
+
+  // Calculate potential revenue increase
+  const potentialRevenueIncreaseMin = annualRevenue * REVENUE_INCREASE_FACTOR_MIN * ((engagementScore + 1) / 10);
+  const potentialRevenueIncreaseMax = annualRevenue * REVENUE_INCREASE_FACTOR_MAX * ((engagementScore + 2) / 10);
+
+  return {
+    totalTurnoverCost,
+    totalDisengagementCost,
+    totalAbsenteeismCost: absenteeismCost,
+    totalHiddenLoss,
+    potentialSavingsMin: Math.max(0, savings1Pt),
+    potentialSavingsMax: Math.max(0, savings2Pt),
+    potentialRevenueIncreaseMin,
+    potentialRevenueIncreaseMax,
+  };
+}
+
+const ROI_INPUT_FIELDS = [
+  'numEmployees',
+  'avgAnnualSalary',
+  'annualRevenue',
+  'employeesWhoLeft',
+  'avgExtraAbsenteeismDaysPerEmployee',
+  'engagementScore'
+];
+
+const MAX_ROI_SCENARIOS = 10;
+
+// Runs each scenario (baseline inputs + overrides) and reports it against the baseline.
+// A scenario may set any input directly, or shift engagement with engagementScoreDelta.
+// Scenario shapes are checked by REQUEST_SCHEMAS.roiPreview; the merged inputs are
+// range-checked here. Returns { baseline, scenarios } or { errors } with fields such
+// as "scenarios[1].employeesWhoLeft".
+function compareROIScenarios(baseInputs, scenarios, parameters) {
+  const baseline = calculateROI(baseInputs, parameters);
+  const errors = [];
+
+  const results = scenarios.map((scenario, index) => {
+    const { label, engagementScoreDelta, ...overrides } = scenario;
+
+    const merged = { ...baseInputs, ...overrides };
+    if (engagementScoreDelta !== undefined) {
+      merged.engagementScore = Math.min(10, Math.max(1, merged.engagementScore + engagementScoreDelta));
+    }
+
+    const { value: inputs, errors: inputErrors } = validate(ROI_INPUTS_SCHEMA, merged);
+    if (inputErrors) {
+      errors.push(...inputErrors.map(({ field, reason }) => ({ field: `scenarios[${index}].${field}`, reason })));
+      return null;
+    }
+
+    const scenarioResults = calculateROI(inputs, parameters);
+    return {
+      label: label || `Scenario ${index + 1}`,
+      inputs,
+      results: scenarioResults,
+      comparedToBaseline: {
+        hiddenLossReduction: baseline.totalHiddenLoss - scenarioResults.totalHiddenLoss,
+        turnoverCostReduction: baseline.totalTurnoverCost - scenarioResults.totalTurnoverCost,
+        disengagementCostReduction: baseline.totalDisengagementCost - scenarioResults.totalDisengagementCost
+      }
+    };
+  });
+
+  if (errors.length > 0) return { errors };
+
+  return { baseline, scenarios: results };
+}
+
+// ========================
+// ADMIN AUTHENTICATION
+// - Static API keys via ADMIN_API_KEYS="key1:admin,key2:analyst" (sent as X-API-Key header)
+// - Signed, expiring bearer tokens (HMAC-SHA256 with ADMIN_TOKEN_SECRET) minted by admins
+// - Roles are ranked: an admin can do everything an analyst can
+// ========================
+
+const ADMIN_ROLES = {
+  analyst: 1,
+  admin: 2
+};
+
+function parseAdminApiKeys(raw) {
+  const keys = new Map();
+  if (!raw) return keys;
+
+  for (const entry of raw.split(',')) {
+    const [key, role = 'analyst'] = entry.trim().split(':').map(part => part.trim());
+    if (!key) continue;
+    if (!ADMIN_ROLES[role]) {
+      logger.warn(`Ignoring admin API key with unknown role "${role}"`);
+      continue;
+    }
+    keys.set(key, role);
+  }
+  return keys;
+}
+
+const adminApiKeys = parseAdminApiKeys(process.env.ADMIN_API_KEYS);
+
+if (adminApiKeys.size === 0 && !process.env.ADMIN_TOKEN_SECRET) {
+  logger.warn('No ADMIN_API_KEYS or ADMIN_TOKEN_SECRET set — admin routes will reject every request');
+}
+
+// Signed token (see helpers/signing.js); times are epoch seconds
+function createAdminToken({ subject, role, expiresInSeconds = 12 * 60 * 60 }) {
+  if (!process.env.ADMIN_TOKEN_SECRET) {
+    throw new Error('ADMIN_TOKEN_SECRET is not configured');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { sub: subject, role, iat: now, exp: now + expiresInSeconds };
+  return { token: createSignedToken(payload, process.env.ADMIN_TOKEN_SECRET), payload };
+}
+
+function verifyAdminToken(token) {
+  const payload = readSignedToken(token, process.env.ADMIN_TOKEN_SECRET);
+  if (!payload || !ADMIN_ROLES[payload.role]) return null;
+  if (!payload.exp || payload.exp < Math.floor(Date.now() / 1000)) return null;
+  return payload;
+}
+
+function authenticateAdmin(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    for (const [key, role] of adminApiKeys) {
+      if (safeEqual(apiKey, key)) {
+        const fingerprint = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+        return { subject: `api-key:${fingerprint}`, role, method: 'api-key' };
+      }
+    }
+    return null;
+  }
+
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Bearer ')) {
+    const payload = verifyAdminToken(authHeader.slice(7).trim());
+    if (payload) return { subject: payload.sub, role: payload.role, method: 'token' };
+  }
+
+  return null;
+}
+
+// Middleware: require at least the given role on a route
+function requireRole(minRole) {
+  return (req, res, next) => {
+    const admin = authenticateAdmin(req);
+    if (!admin) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (ADMIN_ROLES[admin.role] < ADMIN_ROLES[minRole]) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    req.admin = admin;
+    next();
+  };
+}
+
+// ========================
+// PDF REPORTS
+// Submitters download their report through a signed link (no login); admins
+// can fetch any report with their usual credentials. Links are only issued
+// when REPORT_LINK_SECRET is set and the API's absolute base URL is known
+// (PUBLIC_API_URL, or RENDER_EXTERNAL_URL on Render) — a relative link is
+// useless in an email.
+// ========================
+
+const REPORT_LINK_TTL_DAYS = parseInt(process.env.REPORT_LINK_TTL_DAYS, 10) || 30;
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || process.env.RENDER_EXTERNAL_URL || '').replace(/\/+$/, '');
+const REPORT_LINKS_ENABLED = Boolean(process.env.REPORT_LINK_SECRET) && /^https?:\/\//i.test(PUBLIC_API_URL);
+const ATTACH_PDF_REPORTS = process.env.ATTACH_PDF_REPORTS === 'true';
+
+if (process.env.REPORT_LINK_SECRET && !REPORT_LINKS_ENABLED) {
+  logger.warn('REPORT_LINK_SECRET is set but PUBLIC_API_URL is not an absolute http(s) URL — report links are left out of emails');
+}
+
+// Returns a time-limited download URL, or null when links are disabled
+function createReportUrl(kind, id) {
+  if (!REPORT_LINKS_ENABLED) return null;
+  const expires = Math.floor(Date.now() / 1000) + REPORT_LINK_TTL_DAYS * 24 * 60 * 60;
+  const token = signReportLink(process.env.REPORT_LINK_SECRET, kind, id, expires);
+  return `${PUBLIC_API_URL}/api/reports/${kind}/${id}.pdf?expires=${expires}&token=${token}`;
+}
+
+// Middleware: allow a valid signed link, otherwise fall back to analyst access
+function requireReportAccess(kind) {
+  const requireAnalyst = requireRole('analyst');
+  return (req, res, next) => {
+    if (verifyReportLink(process.env.REPORT_LINK_SECRET, kind, req.params.id, req.query)) return next();
+    return requireAnalyst(req, res, next);
+  };
+}
+
+function sendPdf(res, { filename, buffer }) {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(buffer);
+}
+
+// Email attachment shape accepted by queueEmail
+function toPdfAttachment({ filename, buffer }) {
+  return { filename, contentType: 'application/pdf', content: buffer.toString('base64') };
+}
+
+// ========================
+// FORM TOKENS & CAPTCHA
+// Public forms fetch a short-lived signed token from GET /api/form-token/:form
+// when they load and send it back with the submission (X-Form-Token header or
+// `formToken` field). A token only works for the form it was issued for, only
+// until it expires, and only once — fetch a new one for every attempt. Tokens
+// are required when FORM_TOKEN_SECRET is set.
+// CAPTCHA_PROVIDER adds a CAPTCHA check on the same routes (X-Captcha-Token
+// header or `captchaToken` field): turnstile, recaptcha or hcaptcha verify
+// against the provider with CAPTCHA_SECRET; `stub` accepts the token "pass"
+// and nothing else, for local testing.
+// ========================
+
+const FORM_TOKEN_FORMS = ['contact', 'roi-calculator', 'culture-quiz', 'culture-quiz-email'];
+const FORM_TOKEN_TTL_MINUTES = parseInt(process.env.FORM_TOKEN_TTL_MINUTES) || 60;
+const CAPTCHA_TIMEOUT_MS = 5 * 1000;
+
+// Request fields that carry tokens rather than form data
+const FORM_TOKEN_FIELDS = ['formToken', 'captchaToken'];
+
+if (!process.env.FORM_TOKEN_SECRET) {
+  logger.warn('FORM_TOKEN_SECRET not set — public forms are accepted without a form token');
+}
+
+const formTokenLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+  },
+});
+
+// Redeemed token ids, kept until the token would have expired anyway
+const usedFormTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  form: { type: String },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const UsedFormToken = mongoose.model('UsedFormToken', usedFormTokenSchema);
+
+// Signed like admin tokens but with a "form:" prefix, so neither passes for the other. Times are epoch ms.
+function createFormToken(form) {
+  const now = Date.now();
+  const payload = { form, jti: crypto.randomBytes(16).toString('hex'), iat: now, exp: now + FORM_TOKEN_TTL_MINUTES * 60 * 1000 };
+  return { token: createSignedToken(payload, process.env.FORM_TOKEN_SECRET, { prefix: 'form:' }), payload };
+}
+
+// Returns { payload } or { error } — the signature, form and expiry are checked; replays are not
+function verifyFormToken(token, form) {
+  if (typeof token !== 'string' || !token) return { error: 'Form token is required' };
+
+  const payload = readSignedToken(token, process.env.FORM_TOKEN_SECRET, { prefix: 'form:' });
+  if (!payload || typeof payload.jti !== 'string' || payload.form !== form) return { error: 'Invalid form token' };
+  if (!payload.exp || payload.exp < Date.now()) return { error: 'Form token has expired, please reload the form' };
+  return { payload };
+}
+
+// Records the token as used; false if it already was
+async function redeemFormToken({ jti, form, exp }) {
+  try {
+    await UsedFormToken.create({ jti, form, expiresAt: new Date(exp) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Turnstile, reCAPTCHA and hCaptcha share the same siteverify contract
+function createSiteVerifyCaptcha(name, url) {
+  return () => ({
+    name,
+    async verify(token, remoteIp) {
+      if (!process.env.CAPTCHA_SECRET) throw new Error('CAPTCHA_SECRET is not configured');
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ secret: process.env.CAPTCHA_SECRET, response: token, remoteip: remoteIp }),
+        signal: AbortSignal.timeout(CAPTCHA_TIMEOUT_MS)
+      });
+      const result = await response.json();
+      return result.success === true;
+    }
+  });
+}
+
+const CAPTCHA_VERIFIERS = {
+  turnstile: createSiteVerifyCaptcha('turnstile', 'https://challenges.cloudflare.com/turnstile/v0/siteverify'),
+  recaptcha: createSiteVerifyCaptcha('recaptcha', 'https://www.google.com/recaptcha/api/siteverify'),
+  hcaptcha: createSiteVerifyCaptcha('hcaptcha', 'https://api.hcaptcha.com/siteverify'),
+  stub: () => ({
+    name: 'stub',
+    async verify(token) {
+      return token === 'pass';
+    }
+  })
+};
+
+function createCaptchaVerifier(name) {
+  if (!name) return null;
+  const factory = CAPTCHA_VERIFIERS[name];
+  if (!factory) {
+    throw new Error(`Unknown CAPTCHA provider "${name}" (expected one of: ${Object.keys(CAPTCHA_VERIFIERS).join(', ')})`);
+  }
+  return factory();
+}
+
+const captchaVerifier = createCaptchaVerifier(process.env.CAPTCHA_PROVIDER);
+
+if (captchaVerifier) {
+  logger.info(`CAPTCHA verification: ${captchaVerifier.name}`);
+  if (captchaVerifier.name === 'stub' && process.env.NODE_ENV === 'production') {
+    logger.warn('CAPTCHA_PROVIDER=stub in production — every client sending "pass" gets through');
+  }
+}
+
+// Middleware for public submission routes: CAPTCHA (when configured), then the
+// form token. The redeemed token is left on req.formToken for the spam checks.
+function requireFormToken(form) {
+  return async (req, res, next) => {
+    try {
+      const body = req.body || {};
+
+      if (captchaVerifier) {
+        const captchaToken = req.headers['x-captcha-token'] || body.captchaToken;
+        if (typeof captchaToken !== 'string' || !captchaToken) {
+          return res.status(403).json({ error: 'CAPTCHA verification is required' });
+        }
+        if (!await captchaVerifier.verify(captchaToken, req.ip)) {
+          logger.warn(`${form} submission rejected: CAPTCHA verification failed`);
+          return res.status(403).json({ error: 'CAPTCHA verification failed' });
+        }
+      }
+
+      if (!process.env.FORM_TOKEN_SECRET) return next();
+
+      const { payload, error } = verifyFormToken(req.headers['x-form-token'] || body.formToken, form);
+      if (error) {
+        return res.status(403).json({ error });
+      }
+      if (!await redeemFormToken(payload)) {
+        logger.warn(`${form} submission rejected: form token replayed (${payload.jti})`);
+        return res.status(403).json({ error: 'Form token has already been used, please reload the form' });
+      }
+
+      req.formToken = payload;
+      next();
+    } catch (error) {
+      logger.error(`Error verifying ${form} form token:`, error);
+      res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+  };
+}
+
+// ========================
+// IDEMPOTENT SUBMISSIONS
+// Double-clicks and mobile retries must not save or email twice. Public POST
+// routes remember each request's outcome under its Idempotency-Key header (kept
+// IDEMPOTENCY_KEY_TTL_HOURS) or, without one, a fingerprint of the form and
+// payload (kept IDEMPOTENCY_FINGERPRINT_MINUTES). A repeat gets the original
+// response back with an Idempotent-Replayed header; a repeat that arrives while
+// the original is still running waits briefly for it. Only successful
+// responses are kept, so a failed or rejected request can be retried as is.
+// ========================
+
+const IDEMPOTENCY_KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_FINGERPRINT_TTL_MS = (parseInt(process.env.IDEMPOTENCY_FINGERPRINT_MINUTES) || 10) * 60 * 1000;
+const IDEMPOTENCY_WAIT_MS = 5 * 1000;
+const IDEMPOTENCY_POLL_MS = 250;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  form: { type: String, required: true },
+  // Payload fingerprint, to spot a client reusing its key for a different submission
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  statusCode: { type: Number },
+  response: { type: mongoose.Schema.Types.Mixed },
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Claims `key` for this request. Returns { claimed: true } or { record } for an earlier request.
+async function claimIdempotencyKey({ key, form, fingerprint, ttlMs }) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await IdempotencyRecord.create({ key, form, fingerprint, expiresAt: new Date(Date.now() + ttlMs) });
+      return { claimed: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const record = await IdempotencyRecord.findOne({ key });
+    // Expired records linger until the TTL monitor runs; clear it and claim again
+    if (record && record.expiresAt > new Date()) return { record };
+    await IdempotencyRecord.deleteOne({ key, expiresAt: { $lte: new Date() } });
+  }
+  throw new Error(`Could not claim idempotency key ${key}`);
+}
+
+// Polls an in-flight request's record until it completes, is abandoned or we give up
+async function waitForIdempotentResponse(key) {
+  const deadline = Date.now() + IDEMPOTENCY_WAIT_MS;
+  while (Date.now() < deadline) {
+    await sleep(IDEMPOTENCY_POLL_MS);
+    const record = await IdempotencyRecord.findOne({ key });
+    if (!record || record.status === 'completed') return record;
+  }
+  return null;
+}
+
+function replayIdempotentResponse(res, record) {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).json(record.response);
+}
+
+// Middleware for public submission routes; runs before the form token check so
+// a retry carrying an already-redeemed token still gets its original response
+function idempotent(form) {
+  return async (req, res, next) => {
+    const headerKey = req.headers['idempotency-key'];
+    if (headerKey !== undefined && (!headerKey.trim() || headerKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+      return res.status(400).json({ error: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` });
+    }
+
+    // Token and timing fields differ on every attempt, so they are not part of the payload
+    const ignored = [spamConfig.honeypotField, ...SPAM_CONTROL_FIELDS, ...FORM_TOKEN_FIELDS];
+    const fingerprint = fingerprintPayload(form, Object.fromEntries(
+      Object.entries(req.body || {}).filter(([key]) => !ignored.includes(key))
+    ));
+    const key = headerKey ? `${form}:key:${headerKey.trim()}` : `${form}:fingerprint:${fingerprint}`;
+
+    let claim;
+    try {
+      claim = await claimIdempotencyKey({
+        key,
+        form,
+        fingerprint,
+        ttlMs: headerKey ? IDEMPOTENCY_KEY_TTL_MS : IDEMPOTENCY_FINGERPRINT_TTL_MS
+      });
+    } catch (error) {
+      // Fail open — a duplicate is better than dropping a genuine submission
+      logger.error('Idempotency check failed, processing without it:', error.message);
+      return next();
+    }
+
+    if (!claim.claimed) {
+      const { record } = claim;
+      if (record.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: 'Idempotency-Key has already been used for a different submission' });
+      }
+      const completed = record.status === 'completed' ? record : await waitForIdempotentResponse(key).catch(() => null);
+      if (completed) {
+        logger.info(`Duplicate ${form} submission answered from the original response`);
+        res.locals.submissionOutcome = 'duplicate';
+        return replayIdempotentResponse(res, completed);
+      }
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'This submission is already being processed' });
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = body => {
+      responseBody = body;
+      return json(body);
+    };
+
+    // 'close' also fires when the client gave up before the response was sent
+    res.on('close', () => {
+      const settle = responseBody !== undefined && res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyRecord.updateOne({ key }, { $set: { status: 'completed', statusCode: res.statusCode, response: responseBody } })
+        : IdempotencyRecord.deleteOne({ key, status: 'processing' });
+      shutdown.track(settle, 'Idempotent response')
+        .catch(error => logger.error('Failed to store idempotent response:', error.message));
+    });
+
+    next();
+  };
+}
+
+// ========================
+// REQUEST SCHEMAS
+// Every POST and PATCH route declares its body in REQUEST_SCHEMAS and runs
+// validateBody() first (rules are documented in helpers/validation.js). Invalid bodies get
+// 422 { error, errors: [{ field, reason }] } so the frontend can point at each
+// field, and the handler only ever sees coerced, known fields. Mongoose
+// ValidationErrors thrown while saving are answered in the same shape.
+// ========================
+
+function sendValidationErrors(res, errors) {
+  return res.status(422).json({ error: 'Validation failed', errors });
+}
+
+const isMongooseValidationError = error => error instanceof mongoose.Error.ValidationError;
+
+function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors) {
+      return sendValidationErrors(res, errors);
+    }
+    req.body = value;
+    next();
+  };
+}
+
+// Public forms also carry the spam honeypot, timing and token fields
+function publicFormSchema(fields, options = {}) {
+  return {
+    ...options,
+    fields: {
+      ...fields,
+      [spamConfig.honeypotField]: { type: 'any' },
+      formStartedAt: { type: 'any' },
+      formToken: { type: 'string' },
+      captchaToken: { type: 'string' }
+    }
+  };
+}
+
+const ROI_INPUT_RULES = {
+  numEmployees: { type: 'integer', required: true, min: 1 },
+  avgAnnualSalary: { type: 'number', required: true, min: 0 },
+  annualRevenue: { type: 'number', required: true, min: 0 },
+  employeesWhoLeft: { type: 'integer', required: true, min: 0 },
+  avgExtraAbsenteeismDaysPerEmployee: { type: 'number', required: true, min: 0 },
+  engagementScore: { type: 'number', required: true, min: 1, max: 10 }
+};
+
+function checkRoiInputs({ numEmployees, employeesWhoLeft }) {
+  return employeesWhoLeft > numEmployees
+    ? [{ field: 'employeesWhoLeft', reason: 'cannot be more than numEmployees' }]
+    : [];
+}
+
+// Calculator inputs on their own — used to re-check each merged ROI preview scenario
+const ROI_INPUTS_SCHEMA = { fields: ROI_INPUT_RULES, check: checkRoiInputs };
+
+const CURRENCY_LOCALE_RULES = {
+  currency: { type: 'string', uppercase: true, enum: SUPPORTED_CURRENCIES },
+  locale: { type: 'string', enum: SUPPORTED_LOCALES }
+};
+
+// For routes that take no body — anything sent is an unknown field
+const EMPTY_SCHEMA = { fields: {} };
+
+// PATCH bodies: the create rules with every field optional and no defaults, so
+// only the fields sent are changed
+function partialSchema({ fields, ...schema }) {
+  return {
+    ...schema,
+    fields: Object.fromEntries(Object.entries(fields).map(([key, { required, default: omitted, ...rule }]) => [key, rule]))
+  };
+}
+
+const WEBHOOK_RULES = {
+  url: { type: 'string', required: true, maxLength: 2000 },
+  events: { type: 'array', required: true, minLength: 1, items: { type: 'string', enum: [...WEBHOOK_EVENTS, '*'] } },
+  description: { type: 'string', maxLength: 200 }
+};
+
+const NOTIFICATION_RULE_SCHEMA = {
+  fields: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    priority: { type: 'number' },
+    active: { type: 'boolean' },
+    conditions: {
+      type: 'object',
+      fields: {
+        formTypes: { type: 'array', items: { type: 'string', enum: NOTIFICATION_FORM_TYPES } },
+        activityTypes: { type: 'array', items: { type: 'string', enum: Object.keys(ACTIVITY_TYPE_LABELS) } },
+        cultureLevels: { type: 'array', items: { type: 'string', maxLength: 50 } },
+        minCompanySize: { type: 'number', min: 0 },
+        maxCompanySize: { type: 'number', min: 0 }
+      }
+    },
+    recipients: { type: 'array', required: true, minLength: 1, items: { type: 'email' } },
+    stopProcessing: { type: 'boolean' }
+  },
+  check: ({ conditions = {} }) => (conditions.minCompanySize > conditions.maxCompanySize
+    ? [{ field: 'conditions.minCompanySize', reason: 'cannot be greater than maxCompanySize' }]
+    : [])
+};
+
+const REQUEST_SCHEMAS = {
+  contact: publicFormSchema({
+    fullName: { type: 'string', required: true, maxLength: 100 },
+    workEmail: { type: 'email', required: true },
+    phoneNumber: { type: 'string', maxLength: 20, default: '' },
+    companyName: { type: 'string', maxLength: 100, default: '' },
+    participants: { type: 'string', maxLength: 50, default: '' },
+    activityType: {
+      type: 'array',
+      items: { type: 'string', enum: Object.keys(ACTIVITY_TYPE_LABELS) },
+      default: () => []
+    },
+    message: { type: 'string', maxLength: 1000, default: '' }
+  }),
+
+  roiCalculator: publicFormSchema({
+    ...ROI_INPUT_RULES,
+    email: { type: 'email', required: true },
+    phoneNumber: { type: 'string', required: true, pattern: /^[0-9]{10,15}$/, patternReason: 'must be 10-15 digits' },
+    ...CURRENCY_LOCALE_RULES
+  }, { check: checkRoiInputs }),
+
+  roiPreview: {
+    fields: {
+      ...ROI_INPUT_RULES,
+      ...CURRENCY_LOCALE_RULES,
+      scenarios: {
+        type: 'array',
+        maxLength: MAX_ROI_SCENARIOS,
+        default: () => [],
+        items: {
+          type: 'object',
+          fields: {
+            label: { type: 'string', maxLength: 100 },
+            engagementScoreDelta: { type: 'number' },
+            // Overrides are range-checked once merged with the baseline inputs
+            ...Object.fromEntries(ROI_INPUT_FIELDS.map(field => [field, { type: 'number' }]))
+          }
+        }
+      }
+    },
+    check: checkRoiInputs
+  },
+
+  cultureQuiz: publicFormSchema({
+    email: { type: 'email', required: true },
+    // Question ids and option points are checked against the question bank when scoring
+    answers: { type: 'object', required: true, values: { type: 'number' } },
+    // Older clients send their own results; they are only compared with ours
+    totalScore: { type: 'number' },
+    totalQuestions: { type: 'integer' },
+    answeredCount: { type: 'integer' },
+    cultureLevel: { type: 'object', allowUnknown: true, fields: { level: { type: 'string' } } }
+  }),
+
+  cultureQuizEmail: publicFormSchema({
+    email: { type: 'email', required: true },
+    quizType: { type: 'string', maxLength: 50, default: 'culture_quiz' },
+    timestamp: { type: 'string', maxLength: 50 }
+  }),
+
+  // Send "owner": null to unassign
+  leadUpdate: {
+    fields: {
+      status: { type: 'string', enum: LEAD_STATUSES },
+      owner: { type: 'string', maxLength: 100, nullable: true }
+    },
+    check: ({ status, owner }) => (status === undefined && owner === undefined
+      ? [{ field: '(body)', reason: 'must include a status and/or owner' }]
+      : [])
+  },
+
+  leadNote: {
+    fields: {
+      body: { type: 'string', required: true, maxLength: 5000 }
+    }
+  },
+
+  adminToken: {
+    fields: {
+      subject: { type: 'string', required: true, maxLength: 100 },
+      role: { type: 'string', enum: Object.keys(ADMIN_ROLES), default: 'analyst' },
+      expiresInHours: { type: 'number', min: 0, max: 24 * 90, default: 12 }
+    },
+    check: ({ expiresInHours }) => (expiresInHours > 0 ? [] : [{ field: 'expiresInHours', reason: 'must be greater than 0' }])
+  },
+
+  webhook: {
+    fields: {
+      ...WEBHOOK_RULES,
+      secret: { type: 'string', minLength: 16, maxLength: 200 }
+    }
+  },
+
+  webhookUpdate: partialSchema({
+    fields: {
+      ...WEBHOOK_RULES,
+      active: { type: 'boolean' }
+    }
+  }),
+
+  notificationRule: NOTIFICATION_RULE_SCHEMA,
+
+  notificationRuleUpdate: partialSchema(NOTIFICATION_RULE_SCHEMA),
+
+  notificationRuleTest: {
+    fields: {
+      formType: { type: 'string', required: true, enum: NOTIFICATION_FORM_TYPES },
+      activityType: { type: 'array', items: { type: 'string' }, default: () => [] },
+      companySize: { type: 'number', min: 0 },
+      cultureLevel: { type: 'string', maxLength: 50 }
+    }
+  },
+
+  roiModel: {
+    fields: {
+      parameters: {
+        type: 'object',
+        default: () => ({}),
+        fields: Object.fromEntries(Object.keys(DEFAULT_ROI_MODEL_PARAMETERS).map(key => [key, { type: 'number', min: 0 }]))
+      },
+      notes: { type: 'string', maxLength: 1000 }
+    }
+  }
+};
+
+// ========================
+// METRICS ENDPOINT
+// GET /metrics serves the Prometheus registry from helpers/metrics.js. Scrapers
+// authenticate with `Authorization: Bearer <METRICS_TOKEN>`; without
+// METRICS_TOKEN the endpoint needs analyst credentials like the admin API.
+// Queue gauges only count unfinished and dead-lettered work, so they stay cheap.
+// ========================
+
+metrics.createGauge({
+  name: 'onethrive_mongodb_connection_state',
+  help: 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  collect() {
+    this.set(mongoose.connection.readyState);
+  }
+});
+
+// { status: count } for the given statuses of a queue collection (missing statuses count 0)
+async function countByStatus(model, statuses) {
+  const counts = await model.aggregate([
+    { $match: { status: { $in: statuses } } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+  return Object.fromEntries(statuses.map(status => {
+    const match = counts.find(({ _id }) => _id === status);
+    return [status, match ? match.count : 0];
+  }));
+}
+
+// Sets one series per status, read from Mongo at scrape time
+function createQueueGauge(name, help, model, statuses) {
+  return metrics.createGauge({
+    name,
+    help,
+    labelNames: ['status'],
+    async collect() {
+      if (mongoose.connection.readyState !== 1) return;
+      const counts = await countByStatus(model, statuses);
+      for (const status of statuses) this.set({ status }, counts[status]);
+    }
+  });
+}
+
+createQueueGauge('onethrive_email_outbox_messages', 'Outbox emails waiting, in flight or dead-lettered', EmailOutbox, ['pending', 'sending', 'dead']);
+createQueueGauge('onethrive_webhook_deliveries', 'Webhook deliveries waiting, in flight or dead-lettered', WebhookDelivery, ['pending', 'delivering', 'dead']);
+
+function requireMetricsAccess(req, res, next) {
+  if (!process.env.METRICS_TOKEN) return requireRole('analyst')(req, res, next);
+
+  const authHeader = req.headers.authorization || '';
+  if (!authHeader.startsWith('Bearer ') || !safeEqual(authHeader.slice(7).trim(), process.env.METRICS_TOKEN)) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// ========================
+// HEALTH CHECKS
+// GET /api/health/live  — the process is up and serving requests (always 200).
+//                         /api/health is kept as an alias for existing monitors.
+// GET /api/health/ready — dependency checks; 503 when a critical one is down:
+//   mongo   connection state and ping latency (critical)
+//   email   primary (and fallback) provider verify — Brevo key check, SMTP verify,
+//           etc. Cached for HEALTH_EMAIL_CACHE_SECONDS so probes don't hammer the
+//           provider. Only critical with HEALTH_EMAIL_CRITICAL=true: queued emails
+//           are retried, so by default a provider outage reports "degraded".
+//   queues  email outbox and webhook backlog; "degraded" past HEALTH_QUEUE_MAX_PENDING
+// ========================
+
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+const HEALTH_EMAIL_CACHE_MS = (parseInt(process.env.HEALTH_EMAIL_CACHE_SECONDS) || 300) * 1000;
+const HEALTH_EMAIL_CRITICAL = process.env.HEALTH_EMAIL_CRITICAL === 'true';
+const HEALTH_QUEUE_MAX_PENDING = parseInt(process.env.HEALTH_QUEUE_MAX_PENDING) || 500;
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+function withTimeout(promise, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${HEALTH_CHECK_TIMEOUT_MS}ms`)), HEALTH_CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkMongo() {
+  const state = MONGO_STATES[mongoose.connection.readyState] || 'unknown';
+  if (state !== 'connected') return { status: 'down', critical: true, state };
+
+  const startedAt = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), 'MongoDB ping');
+    return { status: 'up', critical: true, state, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'down', critical: true, state, error: error.message };
+  }
+}
+
+const emailVerifyCache = new Map();
+
+// Verifies a driver at most once per HEALTH_EMAIL_CACHE_MS; concurrent probes share one check
+function verifyEmailDriver(driver) {
+  const cached = emailVerifyCache.get(driver.name);
+  if (cached && Date.now() - cached.checkedAt < HEALTH_EMAIL_CACHE_MS) return cached.result;
+
+  const result = withTimeout(Promise.resolve().then(() => driver.verify()), `${driver.name} verify`)
+    .then(
+      () => ({ provider: driver.name, status: 'up', checkedAt: new Date().toISOString() }),
+      error => ({ provider: driver.name, status: 'down', error: error.message, checkedAt: new Date().toISOString() })
+    );
+  emailVerifyCache.set(driver.name, { checkedAt: Date.now(), result });
+  return result;
+}
+
+async function checkEmail() {
+  const drivers = [primaryEmailDriver, fallbackEmailDriver].filter(Boolean);
+  const providers = await Promise.all(drivers.map(verifyEmailDriver));
+  // Mail still goes out while either provider works
+  const status = providers.some(provider => provider.status === 'up') ? 'up' : 'down';
+  return { status, critical: HEALTH_EMAIL_CRITICAL, providers };
+}
+
+async function checkQueues() {
+  if (mongoose.connection.readyState !== 1) return { status: 'unknown', critical: false };
+
+  try {
+    const [emailOutbox, webhooks] = await withTimeout(Promise.all([
+      countByStatus(EmailOutbox, ['pending', 'sending', 'dead']),
+      countByStatus(WebhookDelivery, ['pending', 'delivering', 'dead'])
+    ]), 'Queue depth');
+    const backlog = emailOutbox.pending + webhooks.pending > HEALTH_QUEUE_MAX_PENDING;
+    return { status: backlog ? 'degraded' : 'up', critical: false, emailOutbox, webhooks };
+  } catch (error) {
+    return { status: 'unknown', critical: false, error: error.message };
+  }
+}
+
+// { status: 'ok' | 'degraded' | 'down', checks } — 'down' only when a critical check fails
+async function checkReadiness() {
+  const [mongo, email, queues] = await Promise.all([checkMongo(), checkEmail(), checkQueues()]);
+  const checks = { mongo, email, queues };
+
+  const results = Object.values(checks);
+  const status = results.some(check => check.critical && check.status === 'down') ? 'down'
+    : results.some(check => check.status !== 'up') ? 'degraded'
+    : 'ok';
+  return { status, checks };
+}
+
+// ========================
+// LIST & EXPORT QUERIES
+// Filters, sort fields and search fields shared by the admin list endpoints
+// and the data exports (see helpers/query.js for the query-string format).
+// ========================
+
+const upperCase = value => value.toUpperCase();
+
+const LIST_SOURCES = {
+  contacts: {
+    model: Contact,
+    search: ['fullName', 'workEmail', 'companyName'],
+    text: { email: 'workEmail', name: 'fullName', company: 'companyName' },
+    match: {
+      activityType: { field: 'activityType' },
+      tier: { field: 'scoring.tier' }
+    },
+    sort: {
+      createdAt: { field: 'createdAt', type: 'date' },
+      score: { field: 'scoring.score', type: 'number' },
+      fullName: { field: 'fullName', type: 'string' },
+      workEmail: { field: 'workEmail', type: 'string' }
+    }
+  },
+  'roi-calculations': {
+    model: ROICalculator,
+    search: ['email', 'phoneNumber'],
+    text: { email: 'email' },
+    match: {
+      currency: { field: 'currency', cast: upperCase },
+      modelVersion: { field: 'modelVersion', cast: Number },
+      tier: { field: 'scoring.tier' }
+    },
+    ranges: {
+      numEmployees: 'numEmployees',
+      annualRevenue: 'annualRevenue',
+      engagementScore: 'engagementScore',
+      totalHiddenLoss: 'calculatedResults.totalHiddenLoss'
+    },
+    sort: {
+      createdAt: { field: 'createdAt', type: 'date' },
+      numEmployees: { field: 'numEmployees', type: 'number' },
+      annualRevenue: { field: 'annualRevenue', type: 'number' },
+      engagementScore: { field: 'engagementScore', type: 'number' },
+      totalHiddenLoss: { field: 'calculatedResults.totalHiddenLoss', type: 'number' },
+      score: { field: 'scoring.score', type: 'number' }
+    }
+  },
+  'culture-quiz': {
+    model: CultureQuiz,
+    search: ['email'],
+    text: { email: 'email' },
+    match: {
+      level: { field: 'cultureLevel.level' },
+      tier: { field: 'scoring.tier' }
+    },
+    ranges: { scorePercentage: 'scorePercentage' },
+    sort: {
+      createdAt: { field: 'createdAt', type: 'date' },
+      score: { field: 'scoring.score', type: 'number' },
+      scorePercentage: { field: 'scorePercentage', type: 'number' },
+      totalScore: { field: 'totalScore', type: 'number' }
+    }
+  },
+  'culture-quiz-emails': {
+    model: CultureQuizEmail,
+    search: ['email'],
+    text: { email: 'email' },
+    match: { quizType: { field: 'quizType' } },
+    sort: {
+      createdAt: { field: 'createdAt', type: 'date' },
+      email: { field: 'email', type: 'string' }
+    }
+  },
+  leads: {
+    model: Lead,
+    // Notes and history can grow long — they're returned by GET /api/leads/:id
+    select: '-__v -history -notes',
+    dateField: 'lastSeenAt',
+    search: ['email', 'fullName', 'companyName'],
+    text: { email: 'email', name: 'fullName', company: 'companyName' },
+    match: {
+      lastInteraction: { field: 'lastInteraction' },
+      status: { field: 'status' },
+      owner: { field: 'owner' },
+      tier: { field: 'scoring.tier' }
+    },
+    ranges: { score: 'scoring.score' },
+    defaultSort: '-lastSeenAt',
+    sort: {
+      lastSeenAt: { field: 'lastSeenAt', type: 'date' },
+      score: { field: 'scoring.score', type: 'number' },
+      firstSeenAt: { field: 'firstSeenAt', type: 'date' },
+      email: { field: 'email', type: 'string' }
+    }
+  }
+};
+
+// Runs a paginated list query for one of LIST_SOURCES.
+// Returns { items, pagination, filter } or { error } for bad query parameters.
+async function findListPage(sourceName, query) {
+  const source = LIST_SOURCES[sourceName];
+  const listQuery = buildListQuery(source, query);
+  if (listQuery.error) return { error: listQuery.error };
+
+  const [docs, total] = await Promise.all([
+    source.model.find(listQuery.pageFilter)
+      .sort(listQuery.sort)
+      .skip(listQuery.skip)
+      .limit(listQuery.limit + 1)
+      .select(source.select || '-__v'),
+    listQuery.withTotal ? source.model.countDocuments(listQuery.filter) : undefined
+  ]);
+
+  return { ...paginate(docs, listQuery, total), filter: listQuery.filter };
+}
+
+// ========================
+// SUBMISSION PROCESSING
+// What happens to a public submission once it has been validated and passed the
+// spam checks: score and save it, link it to its lead, emit the webhook event,
+// queue the team notification and the submitter's email. Routes call these
+// directly; releasing a quarantined submission runs the same pipeline later.
+// Each takes the unsaved model document and resolves with anything the
+// response needs.
+// ========================
+
+// Once the submission is saved, a failure to build or queue one of its emails is
+// logged rather than thrown: failing the request would make the client retry and
+// save the submission twice. `buildMessage` may be async (PDF attachments).
+async function queueSubmissionEmail(type, buildMessage) {
+  try {
+    return await queueEmail(await buildMessage(), type);
+  } catch (error) {
+    logger.error(`Failed to queue ${type} email:`, error.message);
+    return null;
+  }
+}
+
+async function acceptContact(contactData) {
+  contactData.scoring = scoreSubmission('contact', contactData);
+  await contactData.save();
+  const lead = await linkLead('contact', contactData);
+
+  await emitWebhookEvent('contact.created', toWebhookSubmission(contactData, lead));
+
+  // Persist to the email outbox — the worker delivers it in the background with retries
+  const recipients = await getNotificationRecipients('contact', contactData, lead);
+  await queueSubmissionEmail('contact', () => {
+    // Team subject leads with the lead's combined score so the hottest leads stand out
+    const leadScore = (lead && lead.scoring) || contactData.scoring;
+    const notification = renderEmail('contact', { ...contactData.toObject(), leadScore });
+    return { to: recipients, ...notification, replyTo: contactData.workEmail };
+  });
+
+  // Acknowledge the submitter
+  if (SUBMITTER_EMAILS.contact) {
+    await queueSubmissionEmail('contact-acknowledgement', () => ({
+      to: contactData.workEmail,
+      ...renderEmail('contact-acknowledgement', {}),
+      replyTo: SUBMITTER_REPLY_TO
+    }));
+  }
+
+  return {};
+}
+
+async function acceptRoiCalculation(roiData) {
+  roiData.scoring = scoreSubmission('roiCalculator', roiData);
+  await roiData.save();
+  const lead = await linkLead('roiCalculator', roiData);
+
+  await emitWebhookEvent('roi_calculation.created', toWebhookSubmission(roiData, lead));
+
+  // Persist to the email outbox — the worker delivers it in the background with retries
+  const recipients = await getNotificationRecipients('roiCalculator', roiData, lead);
+  await queueSubmissionEmail('roi-calculator', () => {
+    const leadScore = (lead && lead.scoring) || roiData.scoring;
+    const notification = renderEmail('roi-calculator', { ...roiData.toObject(), leadScore });
+    return { to: recipients, ...notification, replyTo: roiData.email };
+  });
+
+  const reportUrl = createReportUrl('roi', roiData._id);
+
+  // Send the submitter their ROI summary
+  if (SUBMITTER_EMAILS.roiCalculator) {
+    await queueSubmissionEmail('roi-results', async () => {
+      const summary = renderEmail('roi-results', { ...roiData.toObject(), reportUrl });
+      const attachments = ATTACH_PDF_REPORTS ? [toPdfAttachment(await generateReport('roi', roiData.toObject()))] : [];
+      return { to: roiData.email, ...summary, replyTo: SUBMITTER_REPLY_TO, attachments };
+    });
+  }
+
+  return { reportUrl };
+}
+
+async function acceptCultureQuiz(quizData) {
+  quizData.scoring = scoreSubmission('cultureQuiz', quizData);
+  await quizData.save();
+  const lead = await linkLead('cultureQuiz', quizData);
+
+  // The emails show the full scoring result (max score, per-question points), so rebuild it from the saved answers
+  const result = scoreCultureQuiz(Object.fromEntries(quizData.answers));
+  const { email, ipAddress, userAgent, submittedAt } = quizData;
+  const emailData = { ...result, email, ipAddress, userAgent, submittedAt };
+
+  await emitWebhookEvent('culture_quiz.created', toWebhookSubmission(quizData, lead));
+
+  // Persist to the email outbox — the worker delivers it in the background with retries
+  const recipients = await getNotificationRecipients('cultureQuiz', quizData, lead);
+  await queueSubmissionEmail('culture-quiz', () => {
+    const leadScore = (lead && lead.scoring) || quizData.scoring;
+    const notification = renderEmail('culture-quiz', { ...emailData, leadScore });
+    return { to: recipients, ...notification, replyTo: email };
+  });
+
+  const reportUrl = createReportUrl('culture-quiz', quizData._id);
+
+  // Send the submitter their culture level
+  if (SUBMITTER_EMAILS.cultureQuiz) {
+    await queueSubmissionEmail('culture-quiz-results', async () => {
+      const levelResult = renderEmail('culture-quiz-results', { ...emailData, reportUrl });
+      const attachments = ATTACH_PDF_REPORTS
+        ? [toPdfAttachment(await generateReport('culture-quiz', quizData.toObject(), { questions: CULTURE_QUIZ_QUESTIONS }))]
+        : [];
+      return { to: email, ...levelResult, replyTo: SUBMITTER_REPLY_TO, attachments };
+    });
+  }
+
+  return { reportUrl };
+}
+
+// `timestamp` is the client's own clock, shown in the team email when present
+async function acceptCultureQuizEmail(emailData, { timestamp } = {}) {
+  await emailData.save();
+  const lead = await linkLead('cultureQuizEmail', emailData);
+
+  await emitWebhookEvent('culture_quiz_email.created', toWebhookSubmission(emailData, lead));
+
+  // Persist to the email outbox — the worker delivers it in the background with retries
+  const recipients = await getNotificationRecipients('cultureQuizEmail', emailData, lead);
+  await queueSubmissionEmail('culture-quiz-email', () => {
+    const notification = renderEmail('culture-quiz-email', {
+      ...emailData.toObject(),
+      timestamp,
+      leadScore: lead && lead.scoring
+    });
+    return { to: recipients, ...notification, replyTo: emailData.email };
+  });
+
+  return {};
+}
+
+// Keyed like LEAD_INTERACTIONS, so a quarantined submission's formType finds its pipeline
+const SUBMISSION_PIPELINES = {
+  contact: acceptContact,
+  roiCalculator: acceptRoiCalculation,
+  cultureQuiz: acceptCultureQuiz,
+  cultureQuizEmail: acceptCultureQuizEmail
+};
+
+// ========================
+// API ENDPOINTS
+// ========================
+
+// Contact form submission endpoint
+app.post('/api/contact', validateBody(REQUEST_SCHEMAS.contact), idempotent('contact'), requireFormToken('contact'), async (req, res) => {
+  try {
+    const {
+      fullName,
+      workEmail,
+      phoneNumber,
+      companyName,
+      participants,
+      activityType,
+      message
+    } = req.body;
+
+    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+
+    const contactData = new Contact({
+      fullName,
+      workEmail,
+      phoneNumber: phoneNumber || '',
+      companyName: companyName || '',
+      participants: participants || '',
+      activityType: activityType || [],
+      message: message || '',
+      ipAddress
+    });
+
+    if (!await quarantineIfSuspicious(req, 'contact', contactData)) {
+      await acceptContact(contactData);
+    }
+
+    res.status(200).json({ success: true, message: 'Contact form submitted successfully' });
+
+  } catch (error) {
+    if (isMongooseValidationError(error)) {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    logger.error('Error processing contact form:', error);
+    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+});
+
+// ROI Calculator submission endpoint
+app.post('/api/roi-calculator', validateBody(REQUEST_SCHEMAS.roiCalculator), idempotent('roi-calculator'), requireFormToken('roi-calculator'), async (req, res) => {
+  try {
+    const {
+      numEmployees,
+      avgAnnualSalary,
+      annualRevenue,
+      employeesWhoLeft,
+      avgExtraAbsenteeismDaysPerEmployee,
+      engagementScore,
+      email,
+      phoneNumber,
+      currency: requestedCurrency,
+      locale: requestedLocale
+    } = req.body;
+
+    const { currency, locale } = resolveCurrencyLocale({
+      currency: requestedCurrency,
+      locale: requestedLocale
+    });
+
+    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+
+    // Calculate ROI results with the currently published model and the locale's defaults
+    const roiModel = await getActiveRoiModel();
+    const parameters = applyLocaleDefaults(roiModel.parameters, locale);
+    const calculatedResults = calculateROI({
+      numEmployees,
+      avgAnnualSalary,
+      annualRevenue,
+      employeesWhoLeft,
+      avgExtraAbsenteeismDaysPerEmployee,
+      engagementScore
+    }, parameters);
+
+    // Save to database
+    const roiData = new ROICalculator({
+      numEmployees,
+      avgAnnualSalary,
+      annualRevenue,
+      employeesWhoLeft,
+      avgExtraAbsenteeismDaysPerEmployee,
+      engagementScore,
+      email,
+      phoneNumber,
+      calculatedResults,
+      modelVersion: roiModel.version,
+      currency,
+      locale,
+      workingDaysPerYear: parameters.workingDaysPerYear,
+      ipAddress
+    });
+
+    // Quarantined submissions still get their results, just no report link
+    const { reportUrl = null } = await quarantineIfSuspicious(req, 'roiCalculator', roiData)
+      ? {}
+      : await acceptRoiCalculation(roiData);
+
+    res.status(200).json({
+      success: true,
+      message: 'ROI calculation submitted successfully',
+      results: calculatedResults,
+      formattedResults: formatROIResults(calculatedResults, currency, locale),
+      currency,
+      locale,
+      modelVersion: roiModel.version,
+      reportUrl
+    });
+
+  } catch (error) {
+    if (isMongooseValidationError(error)) {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    logger.error('Error processing ROI calculator:', error);
+    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+});
+
+// ROI preview endpoint — stateless live calculation (nothing saved, no emails)
+// Optional `scenarios` array returns side-by-side what-ifs, e.g.
+// [{ "label": "+1", "engagementScoreDelta": 1 }, { "label": "Lower attrition", "employeesWhoLeft": 5 }]
+app.post('/api/roi-preview', previewLimiter, validateBody(REQUEST_SCHEMAS.roiPreview), async (req, res) => {
+  try {
+    const { scenarios } = req.body;
+    const inputs = Object.fromEntries(ROI_INPUT_FIELDS.map(field => [field, req.body[field]]));
+    const { currency, locale } = resolveCurrencyLocale(req.body);
+
+    const roiModel = await getActiveRoiModel();
+    const parameters = applyLocaleDefaults(roiModel.parameters, locale);
+    const comparison = compareROIScenarios(inputs, scenarios, parameters);
+    if (comparison.errors) {
+      return sendValidationErrors(res, comparison.errors);
+    }
+
+    res.status(200).json({
+      success: true,
+      modelVersion: roiModel.version,
+      currency,
+      locale,
+      inputs,
+      results: comparison.baseline,
+      formattedResults: formatROIResults(comparison.baseline, currency, locale),
+      scenarios: comparison.scenarios.map(scenario => ({
+        ...scenario,
+        formattedResults: formatROIResults(scenario.results, currency, locale)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error processing ROI preview:', error);
+    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+});
+
+// Culture Quiz submission endpoint
+app.post('/api/culture-quiz-results', validateBody(REQUEST_SCHEMAS.cultureQuiz), idempotent('culture-quiz'), requireFormToken('culture-quiz'), async (req, res) => {
+  try {
+    const {
+      email,
+      answers,
+      totalScore: clientTotalScore,
+      totalQuestions: clientTotalQuestions,
+      answeredCount: clientAnsweredCount,
+      cultureLevel: clientCultureLevel
+    } = req.body;
+
+    // Score server-side from the raw answers — never trust client totals or levels
+    const result = scoreCultureQuiz(answers);
+    if (result.errors) {
+      return sendValidationErrors(res, result.errors.map(reason => ({ field: 'answers', reason })));
+    }
+
+    const {
+      totalScore,
+      maxScore,
+      totalQuestions,
+      answeredCount,
+      scorePercentage,
+      completionRate,
+      cultureLevel
+    } = result;
+
+    // Older clients still send their own totals; reject them if they disagree with ours
+    const mismatches = [
+      clientTotalScore !== undefined && clientTotalScore !== totalScore && 'totalScore',
+      clientTotalQuestions !== undefined && clientTotalQuestions !== totalQuestions && 'totalQuestions',
+      clientAnsweredCount !== undefined && clientAnsweredCount !== answeredCount && 'answeredCount',
+      clientCultureLevel?.level !== undefined && clientCultureLevel.level !== cultureLevel.level && 'cultureLevel.level'
+    ].filter(Boolean);
+
+    if (mismatches.length > 0) {
+      logger.warn(`Culture quiz results rejected: client totals do not match submitted answers`);
+      return sendValidationErrors(res, mismatches.map(field => ({ field, reason: 'does not match the submitted answers' })));
+    }
+
+    const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+    const userAgent = req.headers['user-agent'] || 'unknown';
+
+    // Save to database
+    const quizData = new CultureQuiz({
+      email,
+      answers: new Map(Object.entries(result.answers)),
+      totalScore,
+      totalQuestions,
+      answeredCount,
+      cultureLevel,
       scorePercentage,
       completionRate,
       ipAddress,
       userAgent
     });
 
-    await quizData.save();
+    const { reportUrl = null } = await quarantineIfSuspicious(req, 'cultureQuiz', quizData)
+      ? {}
+      : await acceptCultureQuiz(quizData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Culture quiz submitted successfully',
+      data: {
+        totalScore,
+        maxScore,
+        totalQuestions,
+        answeredCount,
+        scorePercentage,
+        completionRate,
+        level: cultureLevel.level,
+        description: cultureLevel.description,
+        cta: cultureLevel.cta
+      },
+      reportUrl
+    });
+
+  } catch (error) {
+    if (isMongooseValidationError(error)) {
+      return sendValidationErrors(res, fromMongooseError(error));
+    }
+    logger.error('Error processing culture quiz:', error);
+    res.status(500).json({ error: 'Internal server error. Please try again later.' });
+  }
+});
+
+// Form token for a public form — fetch on load, send back with the submission (see FORM TOKENS)
+app.get('/api/form-token/:form', formTokenLimiter, (req, res) => {
+  const { form } = req.params;
+  if (!FORM_TOKEN_FORMS.includes(form)) {
+    return res.status(404).json({ error: `Unknown form. Available: ${FORM_TOKEN_FORMS.join(', ')}` });
+  }
+  if (!process.env.FORM_TOKEN_SECRET) {
+    return res.status(200).json({ success: true, form, token: null, expiresAt: null, captcha: captchaVerifier ? captchaVerifier.name : null });
+  }
+
+  const { token, payload } = createFormToken(form);
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json({
+    success: true,
+    form,
+    token,
+    expiresAt: new Date(payload.exp).toISOString(),
+    captcha: captchaVerifier ? captchaVerifier.name : null
+  });
+});
+
+// Culture Quiz question bank (public — the frontend renders questions from this)
+app.get('/api/culture-quiz-questions', (req, res) => {
+  res.status(200).json({
+    success: true,
+    questions: CULTURE_QUIZ_QUESTIONS,
+    levels: CULTURE_LEVELS.map(({ level, minPercentage }) => ({
+      level,
+      minPercentage,
+      description: getCultureLevelDescription(level)
+    }))
+  });
+});
+
+// PDF report downloads — signed link from the results email/response, or admin credentials
+app.get('/api/reports/roi/:id.pdf', requireReportAccess('roi'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const calculation = await ROICalculator.findById(req.params.id).lean();
+    if (!calculation) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    sendPdf(res, await generateReport('roi', calculation));
+  } catch (error) {
+    logger.error('Error generating ROI report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+app.get('/api/reports/culture-quiz/:id.pdf', requireReportAccess('culture-quiz'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    const quiz = await CultureQuiz.findById(req.params.id).lean();
+    if (!quiz) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    sendPdf(res, await generateReport('culture-quiz', quiz, { questions: CULTURE_QUIZ_QUESTIONS }));
+  } catch (error) {
+    logger.error('Error generating culture quiz report:', error);
+    res.status(500).json({ error: 'Failed to generate report' });
+  }
+});
+
+// Health check endpoint
+// Liveness (see HEALTH CHECKS) — /api/health stays for existing uptime monitors.
+// Registered separately so each path gets its own route label in /metrics.
+function sendLiveness(req, res) {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development'
+  });
+}
+
+app.get('/api/health', sendLiveness);
+app.get('/api/health/live', sendLiveness);
+
+// Readiness — 503 while a critical dependency is down
+app.get('/api/health/ready', async (req, res) => {
+  try {
+    const { status, checks } = await checkReadiness();
+    res.status(status === 'down' ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      checks
+    });
+  } catch (error) {
+    logger.error('Error checking readiness:', error);
+    res.status(503).json({ status: 'down', error: 'Readiness check failed' });
+  }
+});
+
+// Prometheus scrape endpoint (see METRICS ENDPOINT)
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.status(200).send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all contacts — filters, sort and pagination per LIST_SOURCES.contacts
+app.get('/api/contacts', requireRole('analyst'), async (req, res) => {
+  try {
+    const { items: contacts, pagination, error } = await findListPage('contacts', req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.status(200).json({ contacts, pagination });
+  } catch (error) {
+    logger.error('Error fetching contacts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all ROI calculations — filters, sort and pagination per LIST_SOURCES
+app.get('/api/roi-calculations', requireRole('analyst'), async (req, res) => {
+  try {
+    const { items: calculations, pagination, filter, error } = await findListPage('roi-calculations', req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Totals per currency for the filtered set (older documents predate the currency field and are INR)
+    const byCurrency = await ROICalculator.aggregate([
+      {
+        $match: filter
+      },
+      {
+        $group: {
+          _id: { $ifNull: ['$currency', 'INR'] },
+          count: { $sum: 1 },
+          totalHiddenLoss: { $sum: '$calculatedResults.totalHiddenLoss' },
+          potentialSavingsMin: { $sum: '$calculatedResults.potentialSavingsMin' },
+          potentialSavingsMax: { $sum: '$calculatedResults.potentialSavingsMax' }
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+
+    // Normalise to the reporting currency; currencies without a configured rate are left out
+    const normalised = { totalHiddenLoss: 0, potentialSavingsMin: 0, potentialSavingsMax: 0, count: 0 };
+    const missingRates = [];
+    for (const group of byCurrency) {
+      if (!currencyRates[group._id]) {
+        missingRates.push(group._id);
+        continue;
+      }
+      normalised.count += group.count;
+      for (const key of ['totalHiddenLoss', 'potentialSavingsMin', 'potentialSavingsMax']) {
+        normalised[key] += convertToReportingCurrency(group[key], group._id);
+      }
+    }
+
+    res.status(200).json({
+      calculations,
+      pagination,
+      statistics: {
+        byCurrency,
+        reportingCurrency: REPORTING_CURRENCY,
+        normalised: {
+          ...normalised,
+          avgHiddenLoss: normalised.count ? normalised.totalHiddenLoss / normalised.count : 0
+        },
+        missingRates
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching ROI calculations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all culture quiz submissions — filters, sort and pagination per LIST_SOURCES
+app.get('/api/culture-quiz', requireRole('analyst'), async (req, res) => {
+  try {
+    const { items: submissions, pagination, filter, error } = await findListPage('culture-quiz', req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Calculate summary statistics for the filtered set
+    const stats = await CultureQuiz.aggregate([
+      {
+        $match: filter
+      },
+      {
+        $group: {
+          _id: null,
+          avgScore: { $avg: '$scorePercentage' },
+          avgCompletion: { $avg: '$completionRate' },
+          totalSubmissions: { $sum: 1 }
+        }
+      }
+    ]);
+
+    // Get distribution by culture level
+    const levelDistribution = await CultureQuiz.aggregate([
+      {
+        $match: filter
+      },
+      {
+        $group: {
+          _id: '$cultureLevel.level',
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $sort: { count: -1 }
+      }
+    ]);
+
+    res.status(200).json({
+      submissions,
+      pagination,
+      statistics: {
+        summary: stats[0] || { avgScore: 0, avgCompletion: 0, totalSubmissions: 0 },
+        levelDistribution
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching culture quiz submissions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+// Root endpoint
+app.get('/', (req, res) => {
+    res.status(200).json({
+      message: 'OneThrive API Server is running',
+      timestamp: new Date().toISOString(),
+      endpoints: {
+        contact: '/api/contact',
+        roiCalculator: '/api/roi-calculator',
+        cultureQuiz: '/api/culture-quiz',
+        formToken: '/api/form-token/:form',
+        health: '/api/health',
+        readiness: '/api/health/ready'
+      }
+    });
+  });
+  app.post('/api/culture-quiz-email', validateBody(REQUEST_SCHEMAS.cultureQuizEmail), idempotent('culture-quiz-email'), requireFormToken('culture-quiz-email'), async (req, res) => {
+    try {
+      const { email, quizType, timestamp } = req.body;
+
+      const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
+      const userAgent = req.headers['user-agent'] || 'unknown';
+  
+      // Save email to database
+      const emailData = new CultureQuizEmail({
+        email,
+        quizType,
+        ipAddress,
+        userAgent
+      });
+  
+      if (!await quarantineIfSuspicious(req, 'cultureQuizEmail', emailData)) {
+        await acceptCultureQuizEmail(emailData, { timestamp });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Email submitted successfully for culture quiz access'
+      });
+
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error processing culture quiz email:', error);
+      res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+  });
+  
+  // Optional: Add endpoint to get all culture quiz email submissions
+  app.get('/api/culture-quiz-emails', requireRole('analyst'), async (req, res) => {
+    try {
+      const { items: emails, pagination, error } = await findListPage('culture-quiz-emails', req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.status(200).json({ emails, pagination });
+    } catch (error) {
+      logger.error('Error fetching culture quiz emails:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Export a submission collection, e.g. /api/exports/contacts.csv?from=2025-01-01&fields=fullName,workEmail
+  // Accepts the same filters as the list endpoints; `fields` picks and orders the columns
+  app.get('/api/exports/:collection.:format', requireRole('analyst'), async (req, res) => {
+    const { collection, format } = req.params;
+    const source = LIST_SOURCES[collection];
+
+    if (!source) {
+      return res.status(404).json({ error: `Unknown collection. Available: ${Object.keys(LIST_SOURCES).join(', ')}` });
+    }
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { filter, error: filterError } = buildListFilter(source, req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const { columns, error: fieldsError } = getExportColumns(collection, {
+      fields: req.query.fields ? listParam(req.query.fields) : [],
+      questions: CULTURE_QUIZ_QUESTIONS
+    });
+    if (fieldsError) {
+      return res.status(400).json({ error: fieldsError });
+    }
+
+    try {
+      const cursor = source.model.find(filter).sort({ createdAt: -1 }).lean().cursor();
+      const rows = await streamExport(res, {
+        cursor,
+        columns,
+        format,
+        filename: `onethrive-${collection}-${new Date().toISOString().slice(0, 10)}`,
+        sheetName: collection
+      });
+      logger.info(`Exported ${rows} ${collection} rows as ${format} for ${req.admin.subject}`);
+    } catch (error) {
+      logger.error(`Error exporting ${collection}:`, error);
+      // Headers are already out once streaming starts — abort so the client sees a failed download
+      if (res.headersSent) return res.destroy();
+      res.status(500).json({ error: 'Failed to export data' });
+    }
+  });
+
+  // Leads — one per submitter email, filters/sort/pagination per LIST_SOURCES.leads
+  app.get('/api/leads', requireRole('analyst'), async (req, res) => {
+    try {
+      const { items: leads, pagination, error } = await findListPage('leads', req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.status(200).json({ leads, pagination });
+    } catch (error) {
+      logger.error('Error fetching leads:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Lead profile and every interaction in order. Accepts the lead id or an email address.
+  app.get('/api/leads/:id', requireRole('analyst'), async (req, res) => {
+    try {
+      const lead = await findLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const timeline = await getLeadTimeline(lead._id);
+      res.status(200).json({ lead, timeline });
+    } catch (error) {
+      logger.error('Error fetching lead:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Move a lead through the pipeline and/or reassign it: { "status": "contacted", "owner": "smeet.s@onethrive.in" }
+  // Send "owner": null to unassign. Every change is recorded in the lead's history.
+  app.patch('/api/leads/:id', requireRole('admin'), validateBody(REQUEST_SCHEMAS.leadUpdate), async (req, res) => {
+    try {
+      const { status, owner } = req.body;
+
+      const lead = await findLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      const changed = applyLeadChanges(lead, { status, owner }, req.admin.subject);
+      if (changed.length > 0) {
+        await lead.save();
+        logger.info(`Lead ${lead._id} updated (${changed.join(', ')}) by ${req.admin.subject}`);
+      }
+
+      res.status(200).json({ success: true, changed, lead });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error updating lead:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Add a free-form note to a lead
+  app.post('/api/leads/:id/notes', requireRole('admin'), validateBody(REQUEST_SCHEMAS.leadNote), async (req, res) => {
+    try {
+      const { body } = req.body;
+
+      const lead = await findLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      lead.notes.push({ body, author: req.admin.subject });
+      const note = lead.notes[lead.notes.length - 1];
+      lead.history.push({ field: `notes.${note._id}`, from: null, to: note.body, changedBy: req.admin.subject });
+      await lead.save();
+
+      res.status(201).json({ success: true, note });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error adding lead note:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Edit a note; the previous text is kept in the lead's history
+  app.patch('/api/leads/:id/notes/:noteId', requireRole('admin'), validateBody(REQUEST_SCHEMAS.leadNote), async (req, res) => {
+    try {
+      const { body } = req.body;
+
+      const lead = await findLead(req.params.id);
+      const note = lead && mongoose.isValidObjectId(req.params.noteId) ? lead.notes.id(req.params.noteId) : null;
+      if (!note) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
+
+      if (note.body !== body) {
+        lead.history.push({ field: `notes.${note._id}`, from: note.body, to: body, changedBy: req.admin.subject });
+        note.body = body;
+        note.updatedBy = req.admin.subject;
+        await lead.save();
+      }
+
+      res.status(200).json({ success: true, note });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error updating lead note:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Full change history of a lead, newest first
+  app.get('/api/leads/:id/history', requireRole('analyst'), async (req, res) => {
+    try {
+      const lead = await findLead(req.params.id);
+      if (!lead) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+
+      res.status(200).json({ history: [...lead.history].reverse() });
+    } catch (error) {
+      logger.error('Error fetching lead history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // ========================
+  // ADMIN ENDPOINTS
+  // ========================
+
+  // Who am I — lets dashboards check a key/token and show the caller's role
+  app.get('/api/admin/me', requireRole('analyst'), (req, res) => {
+    res.status(200).json({ success: true, admin: req.admin });
+  });
+
+  // Link existing submissions to leads. Runs in the background; poll the GET for progress.
+  app.post('/api/admin/leads/backfill', requireRole('admin'), validateBody(EMPTY_SCHEMA), (req, res) => {
+    if (leadBackfillJob.state.running) {
+      return res.status(409).json({ error: 'Lead backfill is already running', job: leadBackfillJob.state });
+    }
+    leadBackfillJob.start();
+    logger.info(`Lead backfill started by ${req.admin.subject}`);
+    res.status(202).json({ success: true, job: leadBackfillJob.state });
+  });
+
+  app.get('/api/admin/leads/backfill', requireRole('analyst'), (req, res) => {
+    res.status(200).json({ job: leadBackfillJob.state });
+  });
+
+  // Active lead scoring rules (defaults merged with LEAD_SCORING_CONFIG)
+  app.get('/api/admin/lead-scoring', requireRole('analyst'), (req, res) => {
+    res.status(200).json({ config: leadScoringConfig });
+  });
+
+  // Re-score every submission and lead with the active rules. Runs in the background.
+  app.post('/api/admin/lead-scoring/rescore', requireRole('admin'), validateBody(EMPTY_SCHEMA), (req, res) => {
+    if (leadRescoreJob.state.running) {
+      return res.status(409).json({ error: 'Lead rescore is already running', job: leadRescoreJob.state });
+    }
+    leadRescoreJob.start();
+    logger.info(`Lead rescore started by ${req.admin.subject}`);
+    res.status(202).json({ success: true, job: leadRescoreJob.state });
+  });
+
+  app.get('/api/admin/lead-scoring/rescore', requireRole('analyst'), (req, res) => {
+    res.status(200).json({ job: leadRescoreJob.state });
+  });
+
+  // Mint a signed, expiring token (e.g. a read-only analyst token for an agency)
+  app.post('/api/admin/tokens', requireRole('admin'), validateBody(REQUEST_SCHEMAS.adminToken), (req, res) => {
+    try {
+      const { subject, role, expiresInHours: hours } = req.body;
+
+      if (!process.env.ADMIN_TOKEN_SECRET) {
+        return res.status(503).json({ error: 'Token signing is not configured' });
+      }
+
+      const { token, payload } = createAdminToken({
+        subject,
+        role,
+        expiresInSeconds: Math.round(hours * 60 * 60)
+      });
+
+      logger.info(`Admin token issued for "${payload.sub}" (${role}) by ${req.admin.subject}`);
+
+      res.status(201).json({
+        success: true,
+        token,
+        role,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+      });
+    } catch (error) {
+      logger.error('Error issuing admin token:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List outbox emails — ?status=dead gives the dead-letter view
+  app.get('/api/admin/emails', requireRole('analyst'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+      const skip = (page - 1) * limit;
+
+      const filter = {};
+      if (req.query.status) filter.status = String(req.query.status);
+      if (req.query.type) filter.type = String(req.query.type);
+
+      const emails = await EmailOutbox.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v -html -text -attachments.content');
+
+      const total = await EmailOutbox.countDocuments(filter);
+
+      res.status(200).json({
+        emails,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching outbox emails:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Full outbox entry including the rendered body
+  app.get('/api/admin/emails/:id', requireRole('analyst'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const email = await EmailOutbox.findById(req.params.id).select('-__v -attachments.content');
+      if (!email) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      res.status(200).json({ email });
+    } catch (error) {
+      logger.error('Error fetching outbox email:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Re-send a dead-lettered (or sent) email: resets attempts and queues it for the worker
+  app.post('/api/admin/emails/:id/resend', requireRole('admin'), validateBody(EMPTY_SCHEMA), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const email = await EmailOutbox.findOneAndUpdate(
+        { _id: req.params.id, status: { $in: ['dead', 'sent'] } },
+        {
+          $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+          $unset: { lockedAt: 1, sentAt: 1 }
+        },
+        { new: true }
+      ).select('-__v -html -text -attachments.content');
+
+      if (!email) {
+        return res.status(409).json({ error: 'Only dead or sent emails can be re-sent' });
+      }
+
+      logger.info(`Email ${email._id} re-queued by ${req.admin.subject}`);
+      processEmailOutbox().catch(err => logger.error('Email outbox worker error:', err.message));
+
+      res.status(200).json({ success: true, email });
+    } catch (error) {
+      logger.error('Error re-sending outbox email:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // ---- Webhooks ----
+
+  app.get('/api/admin/webhooks', requireRole('analyst'), async (req, res) => {
+    try {
+      const subscriptions = await WebhookSubscription.find().sort({ createdAt: -1 }).select('-__v');
+      res.status(200).json({ events: WEBHOOK_EVENTS, subscriptions });
+    } catch (error) {
+      logger.error('Error fetching webhooks:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Create a subscription: { "url": "https://…", "events": ["contact.created"], "description": "CRM" }
+  // The signing secret is generated unless provided, and only returned here (and on rotate).
+  app.post('/api/admin/webhooks', requireRole('admin'), validateBody(REQUEST_SCHEMAS.webhook), async (req, res) => {
+    try {
+      const { url, events, description, secret } = req.body;
+
+      const urlError = validateWebhookUrl(url);
+      if (urlError) {
+        return sendValidationErrors(res, [{ field: 'url', reason: urlError }]);
+      }
+
+      const signingSecret = secret || `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      const subscription = await WebhookSubscription.create({
+        url,
+        events,
+        description,
+        secret: signingSecret,
+        createdBy: req.admin.subject
+      });
+
+      logger.info(`Webhook ${subscription._id} created for ${subscription.url} by ${req.admin.subject}`);
+      const { secret: omitted, __v, ...created } = subscription.toObject();
+      res.status(201).json({ success: true, subscription: created, secret: signingSecret });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error creating webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.get('/api/admin/webhooks/:id', requireRole('analyst'), async (req, res) => {
+    try {
+      const subscription = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookSubscription.findById(req.params.id).select('-__v')
+        : null;
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      const counts = await WebhookDelivery.aggregate([
+        { $match: { subscription: subscription._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+      res.status(200).json({
+        subscription,
+        deliveries: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Update url, events, description or active
+  app.patch('/api/admin/webhooks/:id', requireRole('admin'), validateBody(REQUEST_SCHEMAS.webhookUpdate), async (req, res) => {
+    try {
+      const updates = req.body;
+
+      if (updates.url !== undefined) {
+        const urlError = validateWebhookUrl(updates.url);
+        if (urlError) {
+          return sendValidationErrors(res, [{ field: 'url', reason: urlError }]);
+        }
+      }
+
+      const subscription = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true, runValidators: true }).select('-__v')
+        : null;
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      logger.info(`Webhook ${subscription._id} updated by ${req.admin.subject}`);
+      res.status(200).json({ success: true, subscription });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      logger.error('Error updating webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delete a subscription. Its delivery log is kept; pending deliveries are dead-lettered by the worker.
+  app.delete('/api/admin/webhooks/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const subscription = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookSubscription.findByIdAndDelete(req.params.id)
+        : null;
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      logger.info(`Webhook ${subscription._id} deleted by ${req.admin.subject}`);
+      res.status(200).json({ success: true });
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Issue a new signing secret; the old one stops working immediately
+  app.post('/api/admin/webhooks/:id/rotate-secret', requireRole('admin'), validateBody(EMPTY_SCHEMA), async (req, res) => {
+    try {
+      const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+      const subscription = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookSubscription.findByIdAndUpdate(req.params.id, { $set: { secret } }, { new: true }).select('-__v')
+        : null;
+      if (!subscription) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+
+      logger.info(`Webhook ${subscription._id} secret rotated by ${req.admin.subject}`);
+      res.status(200).json({ success: true, subscription, secret });
+    } catch (error) {
+      logger.error('Error rotating webhook secret:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Delivery log (newest first), filterable by subscription, status and event
+  app.get('/api/admin/webhook-deliveries', requireRole('analyst'), async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
+      const skip = (page - 1) * limit;
 
-    // Respond immediately after saving — don't wait for email
-    res.status(200).json({ 
-      success: true, 
-      message: 'Culture quiz submitted successfully',
-      data: {
-        scorePercentage,
-        completionRate,
-        level: cultureLevel.level
+      const filter = {};
+      if (req.query.subscription) {
+        if (!mongoose.isValidObjectId(req.query.subscription)) {
+          return res.status(400).json({ error: 'Invalid subscription id' });
+        }
+        filter.subscription = req.query.subscription;
       }
-    });
+      if (req.query.status) filter.status = String(req.query.status);
+      if (req.query.event) filter.event = String(req.query.event);
 
-    // Send email in background (non-blocking)
-    const emailSubject = `New Culture Quiz Submission - ${cultureLevel.level}`;
-    const emailBody = `
-      <h2>🎯 New Culture Quiz Submission</h2>
-      
-      <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-        <h3 style="color: #00FFAB;">📊 Quiz Results Summary</h3>
-        <p><strong>Culture Level:</strong> <span style="color: #00FFAB; font-size: 18px;">${cultureLevel.level}</span></p>
-        <p><strong>Score:</strong> ${totalScore} out of ${totalQuestions * 14} points (${scorePercentage}%)</p>
-        <p><strong>Completion Rate:</strong> ${completionRate}% (${answeredCount}/${totalQuestions} questions)</p>
-      </div>
-
-      <h3>👤 User Information</h3>
-      <p><strong>Email:</strong> ${email}</p>
-      <p><strong>IP Address:</strong> ${ipAddress}</p>
-      <p><strong>User Agent:</strong> ${userAgent}</p>
-      <p><strong>Submitted At:</strong> ${new Date().toLocaleString()}</p>
-
-      <h3>📝 Culture Assessment</h3>
-      <p><strong>Level:</strong> ${cultureLevel.level}</p>
-      <div style="background-color: #f0f0f0; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <h4>Description:</h4>
-        ${cultureLevel.description.map(point => `<p>• ${point}</p>`).join('')}
-      </div>
-      
-      <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 10px 0;">
-        <h4>Call to Action:</h4>
-        <p>${cultureLevel.cta.replace(/\*\*/g, '')}</p>
-      </div>
-
-      <h3>🔢 Detailed Answers</h3>
-      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; font-family: monospace; font-size: 12px;">
-        ${Object.entries(answers).map(([questionId, score]) => 
-          `<p>Question ${questionId}: ${score} points</p>`
-        ).join('')}
-      </div>
-
-      <hr style="margin: 30px 0;">
-      
-      <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; border-left: 4px solid #ffc107;">
-        <h4>🚀 Follow-up Opportunity</h4>
-        <p>This user has shown interest in culture assessment. Consider reaching out to discuss:</p>
-        <ul>
-          <li>Detailed culture audit services</li>
-          <li>Employee engagement programs</li>
-          <li>Team building activities</li>
-          <li>Custom culture transformation solutions</li>
-        </ul>
-      </div>
-    `;
-
-    // Send email in background (non-blocking)
-    sendEmail({ to: ['info@onethrive.in', 'smeet.s@onethrive.in'], subject: emailSubject, html: emailBody, replyTo: email })
-      .then(() => console.log(`✅ Culture quiz email sent for ${email}`))
-      .catch(err => console.error('❌ Failed to send culture quiz email:', err.message));
+      const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v -payload -attemptLog');
 
-  } catch (error) {
-    console.error('Error processing culture quiz:', error);
-    res.status(500).json({ error: 'Internal server error. Please try again later.' });
-  }
-});
+      const total = await WebhookDelivery.countDocuments(filter);
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.status(200).json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+      res.status(200).json({
+        deliveries,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
-});
 
-// Get all contacts
-app.get('/api/contacts', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const contacts = await Contact.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v');
+  // Full delivery including the payload and every attempt's response code
+  app.get('/api/admin/webhook-deliveries/:id', requireRole('analyst'), async (req, res) => {
+    try {
+      const delivery = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookDelivery.findById(req.params.id).select('-__v')
+        : null;
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
 
-    const total = await Contact.countDocuments();
+      res.status(200).json({ delivery });
+    } catch (error) {
+      logger.error('Error fetching webhook delivery:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-    res.status(200).json({
-      contacts,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
+  // Send a delivery again as a new log entry (same event id, so receivers can de-duplicate)
+  app.post('/api/admin/webhook-deliveries/:id/redeliver', requireRole('admin'), validateBody(EMPTY_SCHEMA), async (req, res) => {
+    try {
+      const original = mongoose.isValidObjectId(req.params.id)
+        ? await WebhookDelivery.findById(req.params.id)
+        : null;
+      if (!original) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+      if (['pending', 'delivering'].includes(original.status)) {
+        return res.status(409).json({ error: 'Delivery is still in progress' });
       }
-    });
-  } catch (error) {
-    console.error('Error fetching contacts:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// Get all ROI calculations
-app.get('/api/roi-calculations', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+      const subscription = await WebhookSubscription.findById(original.subscription);
+      if (!subscription || !subscription.active) {
+        return res.status(409).json({ error: 'Webhook subscription is deleted or disabled' });
+      }
 
-    const calculations = await ROICalculator.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v');
+      const delivery = await WebhookDelivery.create({
+        subscription: original.subscription,
+        event: original.event,
+        eventId: original.eventId,
+        payload: original.payload,
+        redeliveryOf: original._id,
+        requestId: req.id
+      });
 
-    const total = await ROICalculator.countDocuments();
+      logger.info(`Webhook delivery ${original._id} redelivered as ${delivery._id} by ${req.admin.subject}`);
+      processWebhookDeliveries().catch(err => logger.error('Webhook worker error:', err.message));
 
-    res.status(200).json({
-      calculations,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching ROI calculations:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+      res.status(202).json({ success: true, delivery });
+    } catch (error) {
+      logger.error('Error redelivering webhook:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-// Get all culture quiz submissions
-app.get('/api/culture-quiz', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+  // ---- Notification routing ----
 
-    const submissions = await CultureQuiz.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v');
+  app.get('/api/admin/notification-rules', requireRole('analyst'), async (req, res) => {
+    try {
+      const rules = await NotificationRule.find().sort({ priority: 1, createdAt: 1 }).select('-__v');
+      res.status(200).json({ defaultRecipients: NOTIFICATION_DEFAULT_RECIPIENTS, rules });
+    } catch (error) {
+      logger.error('Error fetching notification rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-    const total = await CultureQuiz.countDocuments();
+  // e.g. { "name": "Offsites", "conditions": { "activityTypes": ["offsite-retreats"] }, "recipients": ["events@onethrive.in"] }
+  app.post('/api/admin/notification-rules', requireRole('admin'), validateBody(REQUEST_SCHEMAS.notificationRule), async (req, res) => {
+    try {
+      const rule = await NotificationRule.create({ ...req.body, createdBy: req.admin.subject });
+      invalidateNotificationRules();
 
-    // Calculate summary statistics
-    const stats = await CultureQuiz.aggregate([
-      {
-        $group: {
-          _id: null,
-          avgScore: { $avg: '$scorePercentage' },
-          avgCompletion: { $avg: '$completionRate' },
-          totalSubmissions: { $sum: 1 }
-        }
+      logger.info(`Notification rule "${rule.name}" created by ${req.admin.subject}`);
+      res.status(201).json({ success: true, rule });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
       }
-    ]);
+      logger.error('Error creating notification rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-    // Get distribution by culture level
-    const levelDistribution = await CultureQuiz.aggregate([
-      {
-        $group: {
-          _id: '$cultureLevel.level',
-          count: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { count: -1 }
+  app.patch('/api/admin/notification-rules/:id', requireRole('admin'), validateBody(REQUEST_SCHEMAS.notificationRuleUpdate), async (req, res) => {
+    try {
+      const rule = mongoose.isValidObjectId(req.params.id) ? await NotificationRule.findById(req.params.id) : null;
+      if (!rule) {
+        return res.status(404).json({ error: 'Notification rule not found' });
       }
-    ]);
 
-    res.status(200).json({
-      submissions,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      },
-      statistics: {
-        summary: stats[0] || { avgScore: 0, avgCompletion: 0, totalSubmissions: 0 },
-        levelDistribution
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching culture quiz submissions:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-// Root endpoint
-app.get('/', (req, res) => {
-    res.status(200).json({
-      message: 'OneThrive API Server is running',
-      timestamp: new Date().toISOString(),
-      endpoints: {
-        contact: '/api/contact',
-        roiCalculator: '/api/roi-calculator',
-        cultureQuiz: '/api/culture-quiz',
-        health: '/api/health'
+      rule.set({ ...req.body, updatedBy: req.admin.subject });
+      await rule.save();
+      invalidateNotificationRules();
+
+      logger.info(`Notification rule "${rule.name}" updated by ${req.admin.subject}`);
+      res.status(200).json({ success: true, rule });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
       }
-    });
+      logger.error('Error updating notification rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   });
-  app.post('/api/culture-quiz-email', async (req, res) => {
+
+  app.delete('/api/admin/notification-rules/:id', requireRole('admin'), async (req, res) => {
     try {
-      const { email, quizType, timestamp } = req.body;
-  
-      // Validation
-      if (!email) {
-        return res.status(400).json({ error: 'Email is required' });
-      }
-  
-      // Validate email format
-      const emailRegex = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
-      if (!emailRegex.test(email)) {
-        return res.status(400).json({ error: 'Please enter a valid email address' });
+      const rule = mongoose.isValidObjectId(req.params.id)
+        ? await NotificationRule.findByIdAndDelete(req.params.id)
+        : null;
+      if (!rule) {
+        return res.status(404).json({ error: 'Notification rule not found' });
       }
-  
-      const ipAddress = req.headers['x-forwarded-for'] || req.socket?.remoteAddress || 'unknown';
-      const userAgent = req.headers['user-agent'] || 'unknown';
-  
-      // Create a simple schema for email collection if it doesn't exist
-      const cultureQuizEmailSchema = new mongoose.Schema({
-        email: {
-          type: String,
-          required: true,
-          trim: true,
-          lowercase: true,
-          match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
-        },
-        quizType: { type: String, default: 'culture_quiz' },
-        submittedAt: { type: Date, default: Date.now },
-        ipAddress: { type: String },
-        userAgent: { type: String }
-      }, { timestamps: true });
-  
-      // Check if model already exists to avoid re-compilation error
-      const CultureQuizEmail = mongoose.models.CultureQuizEmail || mongoose.model('CultureQuizEmail', cultureQuizEmailSchema);
-  
-      // Save email to database
-      const emailData = new CultureQuizEmail({
-        email,
-        quizType: quizType || 'culture_quiz',
-        ipAddress,
-        userAgent
-      });
-  
-      await emailData.save();
-
-      // Build email content
-      const emailSubject = `New Culture Quiz Email Submission - ${email}`;
-      const emailBody = `
-        <h2>📧 New Culture Quiz Email Submission</h2>
-        
-        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="color: #00FFAB;">📊 Email Collection</h3>
-          <p><strong>Email:</strong> <span style="color: #00FFAB; font-size: 18px;">${email}</span></p>
-          <p><strong>Quiz Type:</strong> ${quizType || 'culture_quiz'}</p>
-          <p><strong>Timestamp:</strong> ${timestamp || new Date().toISOString()}</p>
-        </div>
-
-        <h3>👤 User Information</h3>
-        <p><strong>IP Address:</strong> ${ipAddress}</p>
-        <p><strong>User Agent:</strong> ${userAgent}</p>
-        <p><strong>Submitted At:</strong> ${new Date().toLocaleString()}</p>
-
-        <hr style="margin: 30px 0;">
-        
-        <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; border-left: 4px solid #ffc107;">
-          <h4>🚀 Follow-up Opportunity</h4>
-          <p>This user has provided their email for culture quiz access. Consider reaching out to discuss:</p>
-          <ul>
-            <li>Culture assessment services</li>
-            <li>Employee engagement programs</li>
-            <li>Team building activities</li>
-            <li>Custom culture transformation solutions</li>
-          </ul>
-        </div>
-      `;
-  
-      // Respond immediately — don't wait for email
-      res.status(200).json({ 
-        success: true, 
-        message: 'Email submitted successfully for culture quiz access'
-      });
+      invalidateNotificationRules();
 
-      // Send email in background (non-blocking)
-      sendEmail({ to: ['info@onethrive.in', 'smeet.s@onethrive.in'], subject: emailSubject, html: emailBody, replyTo: email })
-        .then(() => console.log(`✅ Culture quiz email notification sent for ${email}`))
-        .catch(err => console.error('❌ Failed to send culture quiz email notification:', err.message));
-  
+      logger.info(`Notification rule "${rule.name}" deleted by ${req.admin.subject}`);
+      res.status(200).json({ success: true });
     } catch (error) {
-      console.error('Error processing culture quiz email:', error);
-      res.status(500).json({ error: 'Internal server error. Please try again later.' });
+      logger.error('Error deleting notification rule:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   });
-  
-  // Optional: Add endpoint to get all culture quiz email submissions
-  app.get('/api/culture-quiz-emails', async (req, res) => {
+
+  // Dry run: who would be notified for these facts?
+  // { "formType": "contact", "activityType": ["offsite-retreats"], "companySize": 120, "cultureLevel": "DORMANT SEED" }
+  app.post('/api/admin/notification-rules/test', requireRole('analyst'), validateBody(REQUEST_SCHEMAS.notificationRuleTest), async (req, res) => {
+    try {
+      const { formType, activityType, companySize, cultureLevel } = req.body;
+
+      const result = routeNotification(await getNotificationRules(), {
+        formType,
+        activityType,
+        companySize,
+        cultureLevel: cultureLevel ? cultureLevel.toUpperCase() : undefined
+      }, NOTIFICATION_DEFAULT_RECIPIENTS);
+      res.status(200).json(result);
+    } catch (error) {
+      logger.error('Error testing notification rules:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Quarantined submissions, newest first. ?status= defaults to those awaiting review
+  app.get('/api/admin/quarantine', requireRole('analyst'), async (req, res) => {
     try {
       const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
+      const limit = Math.min(parseInt(req.query.limit) || 10, MAX_PAGE_SIZE);
       const skip = (page - 1) * limit;
-  
-      // Check if model exists
-      const CultureQuizEmail = mongoose.models.CultureQuizEmail;
-      if (!CultureQuizEmail) {
-        return res.status(404).json({ error: 'No email submissions found' });
+
+      const filter = { status: String(req.query.status || 'quarantined') };
+      if (!QUARANTINE_STATUSES.includes(filter.status)) {
+        return res.status(400).json({ error: `status must be one of: ${QUARANTINE_STATUSES.join(', ')}` });
       }
-  
-      const emails = await CultureQuizEmail.find()
+      if (req.query.formType) filter.formType = String(req.query.formType);
+      if (req.query.reason) filter.reasons = String(req.query.reason);
+
+      const items = await QuarantinedSubmission.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
-        .select('-__v');
-  
-      const total = await CultureQuizEmail.countDocuments();
-  
+        .select('-__v -fingerprint');
+
+      const total = await QuarantinedSubmission.countDocuments(filter);
+
       res.status(200).json({
-        emails,
+        items,
         pagination: {
           page,
           limit,
@@ -944,10 +4176,199 @@ app.get('/', (req, res) => {
         }
       });
     } catch (error) {
-      console.error('Error fetching culture quiz emails:', error);
+      logger.error('Error fetching quarantined submissions:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.get('/api/admin/quarantine/:id', requireRole('analyst'), async (req, res) => {
+    try {
+      const item = mongoose.isValidObjectId(req.params.id)
+        ? await QuarantinedSubmission.findById(req.params.id).select('-__v')
+        : null;
+      if (!item) {
+        return res.status(404).json({ error: 'Quarantined submission not found' });
+      }
+
+      res.status(200).json({ item });
+    } catch (error) {
+      logger.error('Error fetching quarantined submission:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // False positive — save it and run the normal pipeline (lead, webhooks, emails) as if it had just arrived
+  app.post('/api/admin/quarantine/:id/release', requireRole('admin'), validateBody(EMPTY_SCHEMA), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Quarantined submission not found' });
+      }
+
+      // Claim it first so two admins can't release the same submission twice
+      const item = await QuarantinedSubmission.findOneAndUpdate(
+        { _id: req.params.id, status: 'quarantined' },
+        { $set: { status: 'released', reviewedBy: req.admin.subject, reviewedAt: new Date() } },
+        { new: true }
+      );
+      if (!item) {
+        const exists = await QuarantinedSubmission.exists({ _id: req.params.id });
+        return exists
+          ? res.status(409).json({ error: 'Submission has already been reviewed' })
+          : res.status(404).json({ error: 'Quarantined submission not found' });
+      }
+
+      const { model } = LEAD_INTERACTIONS[item.formType];
+      const submission = new model(item.payload);
+      try {
+        await SUBMISSION_PIPELINES[item.formType](submission);
+      } catch (error) {
+        // Put it back for review unless the submission itself made it into the database
+        if (!await model.exists({ _id: submission._id })) {
+          await QuarantinedSubmission.updateOne(
+            { _id: item._id },
+            { $set: { status: 'quarantined' }, $unset: { reviewedBy: '', reviewedAt: '' } }
+          );
+        }
+        throw error;
+      }
+
+      logger.info(`Quarantined ${item.formType} submission ${item._id} released by ${req.admin.subject}`);
+      res.status(200).json({ success: true, item, submissionId: submission._id });
+    } catch (error) {
+      logger.error('Error releasing quarantined submission:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.post('/api/admin/quarantine/:id/confirm-spam', requireRole('admin'), validateBody(EMPTY_SCHEMA), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'Quarantined submission not found' });
+      }
+
+      const item = await QuarantinedSubmission.findOneAndUpdate(
+        { _id: req.params.id, status: 'quarantined' },
+        { $set: { status: 'spam', reviewedBy: req.admin.subject, reviewedAt: new Date() } },
+        { new: true }
+      );
+      if (!item) {
+        const exists = await QuarantinedSubmission.exists({ _id: req.params.id });
+        return exists
+          ? res.status(409).json({ error: 'Submission has already been reviewed' })
+          : res.status(404).json({ error: 'Quarantined submission not found' });
+      }
+
+      logger.info(`Quarantined ${item.formType} submission ${item._id} confirmed as spam by ${req.admin.subject}`);
+      res.status(200).json({ success: true, item });
+    } catch (error) {
+      logger.error('Error confirming quarantined submission as spam:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // List every published ROI model version (newest first)
+  app.get('/api/admin/roi-models', requireRole('analyst'), async (req, res) => {
+    try {
+      const active = await getActiveRoiModel();
+      const models = await RoiModel.find().sort({ version: -1 }).select('-__v');
+
+      res.status(200).json({ activeVersion: active.version, models });
+    } catch (error) {
+      logger.error('Error fetching ROI models:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  app.get('/api/admin/roi-models/:version', requireRole('analyst'), async (req, res) => {
+    try {
+      const version = parseInt(req.params.version);
+      const model = Number.isInteger(version) ? await getRoiModel(version) : null;
+      if (!model) {
+        return res.status(404).json({ error: 'ROI model version not found' });
+      }
+
+      res.status(200).json({ model });
+    } catch (error) {
+      logger.error('Error fetching ROI model:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Publish a new model version. Omitted parameters carry over from the active version.
+  app.post('/api/admin/roi-models', requireRole('admin'), validateBody(REQUEST_SCHEMAS.roiModel), async (req, res) => {
+    try {
+      const { parameters, notes } = req.body;
+
+      const active = await getActiveRoiModel();
+      const nextParameters = { ...active.parameters, ...parameters };
+
+      if (nextParameters.revenueIncreaseFactorMin > nextParameters.revenueIncreaseFactorMax) {
+        return sendValidationErrors(res, [{
+          field: 'parameters.revenueIncreaseFactorMin',
+          reason: 'cannot be greater than revenueIncreaseFactorMax'
+        }]);
+      }
+
+      const model = await RoiModel.create({
+        version: active.version + 1,
+        parameters: nextParameters,
+        notes,
+        publishedBy: req.admin.subject
+      });
+
+      logger.info(`ROI model v${model.version} published by ${req.admin.subject}`);
+      res.status(201).json({ success: true, model });
+    } catch (error) {
+      if (isMongooseValidationError(error)) {
+        return sendValidationErrors(res, fromMongooseError(error));
+      }
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'Another version was published at the same time, please retry' });
+      }
+      logger.error('Error publishing ROI model:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Re-run a saved calculation with the model version it was produced by
+  app.get('/api/admin/roi-calculations/:id/reproduce', requireRole('analyst'), async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({ error: 'ROI calculation not found' });
+      }
+
+      const calculation = await ROICalculator.findById(req.params.id).lean();
+      if (!calculation) {
+        return res.status(404).json({ error: 'ROI calculation not found' });
+      }
+
+      const model = await getRoiModel(calculation.modelVersion || 1);
+      if (!model) {
+        return res.status(404).json({ error: `ROI model v${calculation.modelVersion} not found` });
+      }
+
+      const parameters = {
+        ...model.parameters,
+        ...(calculation.workingDaysPerYear && { workingDaysPerYear: calculation.workingDaysPerYear })
+      };
+      const reproduced = calculateROI(calculation, parameters);
+      const matches = Object.keys(reproduced).every(
+        key => Math.abs(reproduced[key] - calculation.calculatedResults[key]) < 0.01
+      );
+
+      res.status(200).json({
+        modelVersion: model.version,
+        parameters,
+        stored: calculation.calculatedResults,
+        reproduced,
+        matches
+      });
+    } catch (error) {
+      logger.error('Error reproducing ROI calculation:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   });
+
   // 404 handler for undefined routes
   app.use('*', (req, res) => {
     res.status(404).json({
@@ -957,8 +4378,23 @@ app.get('/', (req, res) => {
   });
   
   // Global error handler
+  // Body-parser and other client errors (malformed JSON, oversized bodies) carry a 4xx status
+  const BODY_ERROR_REASONS = {
+    'entity.parse.failed': 'must be valid JSON',
+    'entity.too.large': 'is too large'
+  };
+
   app.use((error, req, res, next) => {
-    console.error('Global error handler:', error);
+    const status = error.status || error.statusCode;
+    if (status >= 400 && status < 500) {
+      logger.warn(`Rejected request: ${error.type || error.message} (${status})`);
+      const reason = BODY_ERROR_REASONS[error.type];
+      return res.status(status).json(reason
+        ? { error: 'Invalid request body', errors: [{ field: '(body)', reason }] }
+        : { error: error.expose ? error.message : 'Bad request' });
+    }
+
+    logger.error('Global error handler:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: 'Something went wrong on our end'
@@ -968,50 +4404,59 @@ app.get('/', (req, res) => {
   // Start server
   // NOTE: On Render, process.env.PORT is auto-injected. Never hardcode or override it.
   const PORT = process.env.PORT || 5000;
-  console.log(`🔍 process.env.PORT = ${process.env.PORT} → binding to ${PORT}`);
-  app.listen(PORT, () => {
-    console.log(`🚀 Server is running on port ${PORT}`);
-    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔗 API URL: http://localhost:${PORT}`);
+  logger.info(`process.env.PORT = ${process.env.PORT} → binding to ${PORT}`);
+  const server = app.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    logger.info(`API URL: http://localhost:${PORT}`);
+
+    // Deliver queued notification emails and webhooks (including any left over from a previous run)
+    startEmailOutboxWorker();
+    startWebhookWorker();
 
     // Self-ping every 10 minutes to prevent Render free tier from sleeping
     if (process.env.NODE_ENV === 'production' || process.env.RENDER) {
       const SELF_URL = process.env.RENDER_EXTERNAL_URL || `https://onethrive-backend.onrender.com`;
+      // Pings readiness rather than liveness, so a dead database or mail provider shows up in the logs
       setInterval(async () => {
         try {
-          const res = await fetch(`${SELF_URL}/api/health`);
-          console.log(`🏓 Self-ping OK (${new Date().toISOString()}) - status: ${res.status}`);
+          const res = await fetch(`${SELF_URL}/api/health/ready`, { signal: AbortSignal.timeout(30 * 1000) });
+          const { status, checks = {} } = await res.json().catch(() => ({}));
+          if (res.ok && status === 'ok') {
+            logger.info(`Self-ping OK (${new Date().toISOString()}) - status: ${res.status}`);
+          } else {
+            const failing = Object.keys(checks).filter(name => checks[name].status !== 'up');
+            logger.warn(`Self-ping: readiness ${status || 'unknown'} (${res.status})${failing.length ? ` - failing: ${failing.join(', ')}` : ''}`, { checks });
+          }
         } catch (e) {
-          console.warn(`⚠️  Self-ping failed: ${e.message}`);
+          logger.warn(`Self-ping failed: ${e.message}`);
         }
       }, 10 * 60 * 1000); // every 10 minutes
-      console.log(`🏓 Self-ping started → ${SELF_URL}/api/health`);
+      logger.info(`Self-ping started → ${SELF_URL}/api/health/ready`);
     }
   });
   
-  // Handle graceful shutdown
-  process.on('SIGTERM', () => {
-    console.log('👋 SIGTERM received, shutting down gracefully...');
-    mongoose.connection.close();
-    process.exit(0);
-  });
-  
-  process.on('SIGINT', () => {
-    console.log('👋 SIGINT received, shutting down gracefully...');
-    mongoose.connection.close();
-    process.exit(0);
+  // Handle graceful shutdown — drain requests and background work, then close Mongo (see helpers/shutdown.js)
+  shutdown.setServer(server);
+  shutdown.onShutdown('MongoDB', async () => {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
   });
+
+  process.on('SIGTERM', () => shutdown.handleSignal('SIGTERM'));
+  process.on('SIGINT', () => shutdown.handleSignal('SIGINT'));
   
-  // Handle unhandled promise rejections — log but don't crash
-  process.on('unhandledRejection', (err, promise) => {
-    console.error('❌ Unhandled Promise Rejection:', err);
-    // Do NOT exit — a failed background task (e.g. email) should not kill the server
+  // Handle crashes — an unhandled rejection or uncaught exception means the process state
+  // can't be trusted any more, so finish what's in flight and exit non-zero for the
+  // platform to restart us. Background work (emails, webhooks) catches its own errors.
+  process.on('unhandledRejection', (err) => {
+    logger.error('Unhandled Promise Rejection, draining and exiting:', err);
+    shutdown.begin('Unhandled promise rejection', 1);
   });
-  
-  // Handle uncaught exceptions — log but don't crash on non-fatal errors
+
   process.on('uncaughtException', (err) => {
-    console.error('❌ Uncaught Exception:', err);
-    // Do NOT exit — keep the server alive
+    logger.error('Uncaught Exception, draining and exiting:', err);
+    shutdown.begin('Uncaught exception', 1);
   });
   
   module.exports = app;
\ No newline at end of file
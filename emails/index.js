@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+const layout = require('./layout');
+const { htmlToText } = require('./html');
+
+// ========================
+// EMAIL TEMPLATES
+// One module per notification type in ./templates, each exporting
+// { subject(data), html(data) }. renderEmail wraps the body in the shared
+// branded layout and generates the plain-text alternative.
+// ========================
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates');
+
+const templates = Object.fromEntries(
+  fs.readdirSync(TEMPLATES_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map(file => [path.basename(file, '.js'), require(path.join(TEMPLATES_DIR, file))])
+);
+
+// Returns { subject, html, text } ready to hand to sendEmail/queueEmail
+function renderEmail(name, data) {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  // Subjects are plain text — strip line breaks so user input cannot inject headers
+  const subject = String(template.subject(data)).replace(/[\r\n]+/g, ' ').trim();
+  const body = template.html(data);
+
+  return {
+    subject,
+    html: layout({ title: subject, content: body }).value,
+    text: htmlToText(body.value)
+  };
+}
+
+module.exports = {
+  renderEmail,
+  templateNames: Object.keys(templates)
+};
@@ -0,0 +1,40 @@
+const { html } = require('./html');
+
+// Shared branded wrapper for every email. `content` must already be SafeHtml.
+function layout({ title, content }) {
+  return html`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title}</title>
+  </head>
+  <body style="margin: 0; padding: 0; background-color: #f4f4f4; font-family: Arial, Helvetica, sans-serif; color: #222222;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background-color: #f4f4f4;">
+      <tr>
+        <td align="center" style="padding: 24px 12px;">
+          <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width: 600px; width: 100%; background-color: #ffffff; border-radius: 8px; overflow: hidden;">
+            <tr>
+              <td style="background-color: #111111; padding: 20px 24px;">
+                <span style="color: #00FFAB; font-size: 22px; font-weight: bold; letter-spacing: 1px;">OneThrive</span>
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 24px; font-size: 14px; line-height: 1.6;">
+                ${content}
+              </td>
+            </tr>
+            <tr>
+              <td style="background-color: #f8f9fa; padding: 16px 24px; font-size: 12px; color: #777777;">
+                OneThrive · <a href="https://onethrive.in" style="color: #777777;">onethrive.in</a> · info@onethrive.in
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+}
+
+module.exports = layout;
@@ -0,0 +1,15 @@
+const { html } = require('../html');
+
+// Sent to the address entered on the contact form. Anyone can type any address
+// there, so nothing the submitter wrote is echoed back — otherwise the form could
+// be used to relay arbitrary text from our sending domain.
+module.exports = {
+  subject: () => 'We received your enquiry — OneThrive',
+
+  html: () => html`
+    <h2>Thanks for reaching out!</h2>
+    <p>We've received your enquiry and someone from the OneThrive team will be in touch within one business day.</p>
+    <p>If you didn't contact us, you can safely ignore this email.</p>
+    <p>— Team OneThrive</p>
+  `
+};
@@ -0,0 +1,20 @@
+const { html } = require('../html');
+const { formatActivityTypes, formatLeadScorePrefix } = require('../../helpers/format');
+
+// Team notification for a new contact form submission
+module.exports = {
+  subject: ({ fullName, leadScore }) => `${formatLeadScorePrefix(leadScore)}New Contact Form Submission - ${fullName}`,
+
+  html: ({ fullName, workEmail, phoneNumber, companyName, participants, activityType, message, ipAddress, leadScore }) => html`
+    <h2>New Contact Form Submission</h2>
+    ${leadScore ? html`<p><strong>Lead Score:</strong> ${leadScore.score}/100 (${leadScore.tier})</p>` : ''}
+    <p><strong>Name:</strong> ${fullName}</p>
+    <p><strong>Email:</strong> ${workEmail}</p>
+    <p><strong>Phone:</strong> ${phoneNumber || 'Not provided'}</p>
+    <p><strong>Company:</strong> ${companyName || 'Not provided'}</p>
+    <p><strong>Participants:</strong> ${participants || 'Not specified'}</p>
+    <p><strong>Activities:</strong> ${formatActivityTypes(activityType)}</p>
+    <p><strong>Message:</strong> ${message || 'None'}</p>
+    <p><strong>IP Address:</strong> ${ipAddress}</p>
+  `
+};
@@ -0,0 +1,37 @@
+const { html } = require('../html');
+const { formatLeadScorePrefix } = require('../../helpers/format');
+
+// Team notification when someone leaves their email to access the culture quiz
+module.exports = {
+  subject: ({ email, leadScore }) => `${formatLeadScorePrefix(leadScore)}New Culture Quiz Email Submission - ${email}`,
+
+  html: ({ email, quizType, timestamp, ipAddress, userAgent, submittedAt, leadScore }) => html`
+    <h2>📧 New Culture Quiz Email Submission</h2>
+
+    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #00FFAB;">📊 Email Collection</h3>
+      <p><strong>Email:</strong> <span style="color: #00FFAB; font-size: 18px;">${email}</span></p>
+      <p><strong>Quiz Type:</strong> ${quizType || 'culture_quiz'}</p>
+      <p><strong>Timestamp:</strong> ${timestamp || new Date().toISOString()}</p>
+      ${leadScore ? html`<p><strong>Lead Score:</strong> ${leadScore.score}/100 (${leadScore.tier})</p>` : ''}
+    </div>
+
+    <h3>👤 User Information</h3>
+    <p><strong>IP Address:</strong> ${ipAddress}</p>
+    <p><strong>User Agent:</strong> ${userAgent}</p>
+    <p><strong>Submitted At:</strong> ${new Date(submittedAt || Date.now()).toLocaleString()}</p>
+
+    <hr style="margin: 30px 0;">
+
+    <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; border-left: 4px solid #ffc107;">
+      <h4>🚀 Follow-up Opportunity</h4>
+      <p>This user has provided their email for culture quiz access. Consider reaching out to discuss:</p>
+      <ul>
+        <li>Culture assessment services</li>
+        <li>Employee engagement programs</li>
+        <li>Team building activities</li>
+        <li>Custom culture transformation solutions</li>
+      </ul>
+    </div>
+  `
+};
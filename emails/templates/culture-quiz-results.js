@@ -0,0 +1,26 @@
+const { html } = require('../html');
+
+// Culture level result sent to the person who took the quiz
+module.exports = {
+  subject: ({ cultureLevel }) => `Your Culture Quiz Result: ${cultureLevel.level}`,
+
+  html: ({ cultureLevel, totalScore, maxScore, scorePercentage, reportUrl }) => html`
+    <h2>Your Culture Quiz Result</h2>
+    <p>Your company's culture level is:</p>
+    <p style="color: #00FFAB; font-size: 22px;"><strong>${cultureLevel.level}</strong></p>
+    <p><strong>Score:</strong> ${totalScore} out of ${maxScore} points (${scorePercentage}%)</p>
+
+    <div style="background-color: #f0f0f0; padding: 15px; border-radius: 5px; margin: 10px 0;">
+      ${cultureLevel.description.map(point => html`<p>${point}</p>`)}
+    </div>
+
+    <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 10px 0;">
+      <p>${cultureLevel.cta}</p>
+    </div>
+
+    ${reportUrl ? html`<p><a href="${reportUrl}">Download your full culture report (PDF)</a></p>` : ''}
+
+    <p>Reply to this email to book a conversation with our culture team.</p>
+    <p>— Team OneThrive</p>
+  `
+};
@@ -0,0 +1,69 @@
+const { html } = require('../html');
+const { formatLeadScorePrefix } = require('../../helpers/format');
+
+// Team notification for a completed culture quiz
+module.exports = {
+  subject: ({ cultureLevel, leadScore }) => `${formatLeadScorePrefix(leadScore)}New Culture Quiz Submission - ${cultureLevel.level}`,
+
+  html: ({
+    email,
+    answers,
+    totalScore,
+    maxScore,
+    totalQuestions,
+    answeredCount,
+    scorePercentage,
+    completionRate,
+    cultureLevel,
+    ipAddress,
+    userAgent,
+    submittedAt,
+    leadScore
+  }) => html`
+    <h2>🎯 New Culture Quiz Submission</h2>
+
+    <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+      <h3 style="color: #00FFAB;">📊 Quiz Results Summary</h3>
+      <p><strong>Culture Level:</strong> <span style="color: #00FFAB; font-size: 18px;">${cultureLevel.level}</span></p>
+      <p><strong>Score:</strong> ${totalScore} out of ${maxScore} points (${scorePercentage}%)</p>
+      <p><strong>Completion Rate:</strong> ${completionRate}% (${answeredCount}/${totalQuestions} questions)</p>
+      ${leadScore ? html`<p><strong>Lead Score:</strong> ${leadScore.score}/100 (${leadScore.tier})</p>` : ''}
+    </div>
+
+    <h3>👤 User Information</h3>
+    <p><strong>Email:</strong> ${email}</p>
+    <p><strong>IP Address:</strong> ${ipAddress}</p>
+    <p><strong>User Agent:</strong> ${userAgent}</p>
+    <p><strong>Submitted At:</strong> ${new Date(submittedAt || Date.now()).toLocaleString()}</p>
+
+    <h3>📝 Culture Assessment</h3>
+    <p><strong>Level:</strong> ${cultureLevel.level}</p>
+    <div style="background-color: #f0f0f0; padding: 15px; border-radius: 5px; margin: 10px 0;">
+      <h4>Description:</h4>
+      ${cultureLevel.description.map(point => html`<p>• ${point}</p>`)}
+    </div>
+
+    <div style="background-color: #e8f5e8; padding: 15px; border-radius: 5px; margin: 10px 0;">
+      <h4>Call to Action:</h4>
+      <p>${cultureLevel.cta.replace(/\*\*/g, '')}</p>
+    </div>
+
+    <h3>🔢 Detailed Answers</h3>
+    <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; font-family: monospace; font-size: 12px;">
+      ${Object.entries(answers).map(([questionId, score]) => html`<p>Question ${questionId}: ${score} points</p>`)}
+    </div>
+
+    <hr style="margin: 30px 0;">
+
+    <div style="background-color: #fff3cd; padding: 15px; border-radius: 5px; border-left: 4px solid #ffc107;">
+      <h4>🚀 Follow-up Opportunity</h4>
+      <p>This user has shown interest in culture assessment. Consider reaching out to discuss:</p>
+      <ul>
+        <li>Detailed culture audit services</li>
+        <li>Employee engagement programs</li>
+        <li>Team building activities</li>
+        <li>Custom culture transformation solutions</li>
+      </ul>
+    </div>
+  `
+};
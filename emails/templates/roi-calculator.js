@@ -0,0 +1,54 @@
+const { html } = require('../html');
+const { formatCurrency, formatLeadScorePrefix } = require('../../helpers/format');
+
+// Team notification for a new ROI calculator submission
+module.exports = {
+  subject: ({ email, leadScore }) => `${formatLeadScorePrefix(leadScore)}New ROI Calculator Submission - ${email}`,
+
+  html: ({
+    email,
+    phoneNumber,
+    ipAddress,
+    numEmployees,
+    avgAnnualSalary,
+    annualRevenue,
+    employeesWhoLeft,
+    avgExtraAbsenteeismDaysPerEmployee,
+    engagementScore,
+    calculatedResults,
+    currency,
+    locale,
+    submittedAt,
+    leadScore
+  }) => {
+    const money = value => formatCurrency(value, currency, locale);
+
+    return html`
+      <h2>New ROI Calculator Submission</h2>
+      ${leadScore ? html`<p><strong>Lead Score:</strong> ${leadScore.score}/100 (${leadScore.tier})</p>` : ''}
+      <h3>Contact Information:</h3>
+      <p><strong>Email:</strong> ${email}</p>
+      <p><strong>Phone:</strong> ${phoneNumber}</p>
+      <p><strong>IP Address:</strong> ${ipAddress}</p>
+
+      <h3>Company Details:</h3>
+      <p><strong>Total Employees:</strong> ${numEmployees}</p>
+      <p><strong>Average Annual Salary:</strong> ${money(avgAnnualSalary)}</p>
+      <p><strong>Annual Revenue:</strong> ${money(annualRevenue)}</p>
+      <p><strong>Employees Who Left:</strong> ${employeesWhoLeft}</p>
+      <p><strong>Average Absenteeism Days:</strong> ${avgExtraAbsenteeismDaysPerEmployee}</p>
+      <p><strong>Engagement Score:</strong> ${engagementScore}/10</p>
+      <p><strong>Currency:</strong> ${currency || 'INR'} (${locale || 'en-IN'})</p>
+
+      <h3>Calculated Results:</h3>
+      <p><strong>Total Turnover Cost:</strong> <span style="color: red;">${money(calculatedResults.totalTurnoverCost)}</span></p>
+      <p><strong>Total Disengagement Cost:</strong> <span style="color: red;">${money(calculatedResults.totalDisengagementCost)}</span></p>
+      <p><strong>Total Absenteeism Cost:</strong> <span style="color: red;">${money(calculatedResults.totalAbsenteeismCost)}</span></p>
+      <p><strong>Total Hidden Loss:</strong> <span style="color: red; font-size: 18px;">${money(calculatedResults.totalHiddenLoss)}</span></p>
+      <p><strong>Potential Savings:</strong> <span style="color: green;">${money(calculatedResults.potentialSavingsMin)} - ${money(calculatedResults.potentialSavingsMax)}</span></p>
+      <p><strong>Potential Revenue Increase:</strong> <span style="color: green;">${money(calculatedResults.potentialRevenueIncreaseMin)} - ${money(calculatedResults.potentialRevenueIncreaseMax)}</span></p>
+
+      <p><strong>Submitted At:</strong> ${new Date(submittedAt || Date.now()).toLocaleString()}</p>
+    `;
+  }
+};
@@ -0,0 +1,31 @@
+const { html } = require('../html');
+const { formatCurrency } = require('../../helpers/format');
+
+// ROI summary sent to the person who used the calculator
+module.exports = {
+  subject: () => 'Your OneThrive ROI Summary',
+
+  html: ({ numEmployees, engagementScore, calculatedResults, currency, locale, reportUrl }) => {
+    const money = value => formatCurrency(value, currency, locale);
+
+    return html`
+      <h2>Your OneThrive ROI Summary</h2>
+      <p>Here's what disengagement and turnover may be costing your organisation of ${numEmployees} employees each year.</p>
+
+      <h3>Hidden Costs</h3>
+      <p><strong>Turnover Cost:</strong> ${money(calculatedResults.totalTurnoverCost)}</p>
+      <p><strong>Disengagement Cost:</strong> ${money(calculatedResults.totalDisengagementCost)}</p>
+      <p><strong>Absenteeism Cost:</strong> ${money(calculatedResults.totalAbsenteeismCost)}</p>
+      <p><strong>Total Hidden Loss:</strong> <span style="color: red; font-size: 18px;">${money(calculatedResults.totalHiddenLoss)}</span></p>
+
+      <h3>What Better Engagement Could Unlock</h3>
+      <p><strong>Potential Savings:</strong> <span style="color: green;">${money(calculatedResults.potentialSavingsMin)} - ${money(calculatedResults.potentialSavingsMax)}</span></p>
+      <p><strong>Potential Revenue Increase:</strong> <span style="color: green;">${money(calculatedResults.potentialRevenueIncreaseMin)} - ${money(calculatedResults.potentialRevenueIncreaseMax)}</span></p>
+
+      ${reportUrl ? html`<p><a href="${reportUrl}">Download your full ROI report (PDF)</a></p>` : ''}
+
+      <p>These estimates assume your engagement score (currently ${engagementScore}/10) improves by 1–2 points. Reply to this email to talk to us about how to get there.</p>
+      <p>— Team OneThrive</p>
+    `;
+  }
+};
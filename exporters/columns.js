@@ -0,0 +1,127 @@
+const { ACTIVITY_TYPE_LABELS, formatActivityTypes } = require('../helpers/format');
+
+// ========================
+// EXPORT COLUMNS
+// Flat column definitions for each exportable collection. Every column is
+// { key, header, value(doc) } where `doc` is a lean Mongo document; nested
+// data (calculatedResults, activityType, answers) is spread across columns.
+// ========================
+
+const column = (key, header, value = doc => doc[key]) => ({ key, header, value });
+
+const metadataColumns = [
+  column('submittedAt', 'Submitted At'),
+  column('ipAddress', 'IP Address')
+];
+
+const scoreColumns = [
+  column('score', 'Lead Score', doc => (doc.scoring || {}).score),
+  column('tier', 'Lead Tier', doc => (doc.scoring || {}).tier)
+];
+
+const contacts = () => [
+  column('id', 'ID', doc => String(doc._id)),
+  column('fullName', 'Full Name'),
+  column('workEmail', 'Work Email'),
+  column('phoneNumber', 'Phone Number'),
+  column('companyName', 'Company'),
+  column('participants', 'Participants'),
+  column('activityTypes', 'Activity Types', doc => formatActivityTypes(doc.activityType)),
+  // One yes/no column per activity so the sheet can be filtered by interest
+  ...Object.entries(ACTIVITY_TYPE_LABELS).map(([activity, label]) =>
+    column(`activity_${activity}`, label, doc => (doc.activityType || []).includes(activity))
+  ),
+  column('message', 'Message'),
+  ...scoreColumns,
+  ...metadataColumns
+];
+
+const ROI_RESULT_COLUMNS = {
+  totalTurnoverCost: 'Turnover Cost',
+  totalDisengagementCost: 'Disengagement Cost',
+  totalAbsenteeismCost: 'Absenteeism Cost',
+  totalHiddenLoss: 'Total Hidden Loss',
+  potentialSavingsMin: 'Potential Savings (Min)',
+  potentialSavingsMax: 'Potential Savings (Max)',
+  potentialRevenueIncreaseMin: 'Potential Revenue Increase (Min)',
+  potentialRevenueIncreaseMax: 'Potential Revenue Increase (Max)'
+};
+
+const roiCalculations = () => [
+  column('id', 'ID', doc => String(doc._id)),
+  column('email', 'Email'),
+  column('phoneNumber', 'Phone Number'),
+  column('numEmployees', 'Employees'),
+  column('avgAnnualSalary', 'Average Annual Salary'),
+  column('annualRevenue', 'Annual Revenue'),
+  column('employeesWhoLeft', 'Employees Who Left'),
+  column('avgExtraAbsenteeismDaysPerEmployee', 'Extra Absenteeism Days'),
+  column('engagementScore', 'Engagement Score'),
+  column('currency', 'Currency', doc => doc.currency || 'INR'),
+  column('locale', 'Locale'),
+  column('modelVersion', 'Model Version', doc => doc.modelVersion || 1),
+  ...Object.entries(ROI_RESULT_COLUMNS).map(([key, header]) =>
+    column(key, header, doc => (doc.calculatedResults || {})[key])
+  ),
+  ...scoreColumns,
+  ...metadataColumns
+];
+
+// `questions` is the culture quiz question bank; each answer becomes a q<id> column of points
+const cultureQuiz = ({ questions = [] } = {}) => [
+  column('id', 'ID', doc => String(doc._id)),
+  column('email', 'Email'),
+  column('level', 'Culture Level', doc => (doc.cultureLevel || {}).level),
+  column('totalScore', 'Total Score'),
+  column('scorePercentage', 'Score %'),
+  column('answeredCount', 'Answered'),
+  column('totalQuestions', 'Total Questions'),
+  column('completionRate', 'Completion %'),
+  ...questions.map(question =>
+    column(`q${question.id}`, `Q${question.id} Points`, doc => (doc.answers || {})[question.id])
+  ),
+  ...scoreColumns,
+  ...metadataColumns,
+  column('userAgent', 'User Agent')
+];
+
+const cultureQuizEmails = () => [
+  column('id', 'ID', doc => String(doc._id)),
+  column('email', 'Email'),
+  column('quizType', 'Quiz Type'),
+  ...metadataColumns,
+  column('userAgent', 'User Agent')
+];
+
+const LEAD_INTERACTION_COLUMNS = {
+  contact: 'Contact Forms',
+  roiCalculator: 'ROI Calculations',
+  cultureQuiz: 'Culture Quizzes',
+  cultureQuizEmail: 'Quiz Email Sign-ups'
+};
+
+const leads = () => [
+  column('id', 'ID', doc => String(doc._id)),
+  column('email', 'Email'),
+  column('fullName', 'Full Name'),
+  column('companyName', 'Company'),
+  column('phoneNumber', 'Phone Number'),
+  column('firstSeenAt', 'First Seen'),
+  column('lastSeenAt', 'Last Seen'),
+  column('lastInteraction', 'Last Interaction'),
+  ...scoreColumns,
+  column('status', 'Status'),
+  column('owner', 'Owner'),
+  column('notes', 'Notes', doc => (doc.notes || []).length),
+  ...Object.entries(LEAD_INTERACTION_COLUMNS).map(([type, header]) =>
+    column(`interactions_${type}`, header, doc => (doc.interactions || {})[type] || 0)
+  )
+];
+
+module.exports = {
+  contacts,
+  'roi-calculations': roiCalculations,
+  'culture-quiz': cultureQuiz,
+  'culture-quiz-emails': cultureQuizEmails,
+  leads
+};
@@ -0,0 +1,133 @@
+const ExcelJS = require('exceljs');
+const columnSets = require('./columns');
+
+// ========================
+// DATA EXPORTS
+// Streams a Mongo cursor straight to the response as CSV, XLSX or NDJSON, one
+// row at a time, so large collections never have to fit in memory.
+// ========================
+
+// Resolves once the chunk is flushed, or rejects if the client has gone away
+function write(res, chunk) {
+  if (res.destroyed) return Promise.reject(new Error('Client closed the connection'));
+  if (res.write(chunk)) return Promise.resolve();
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = () => { cleanup(); reject(new Error('Client closed the connection')); };
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  let text = String(value);
+  // Stop spreadsheet apps from evaluating user input as a formula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = values => `${values.map(toCsvCell).join(',')}\r\n`;
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    createWriter: (res, columns) => ({
+      // BOM so Excel opens UTF-8 names correctly
+      start: () => write(res, `\uFEFF${csvLine(columns.map(col => col.header))}`),
+      row: values => write(res, csvLine(values)),
+      end: async () => res.end()
+    })
+  },
+
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    createWriter: (res, columns) => ({
+      start: async () => {},
+      row: values => write(res, `${JSON.stringify(Object.fromEntries(columns.map((col, i) => [col.key, values[i] ?? null])))}\n`),
+      end: async () => res.end()
+    })
+  },
+
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    createWriter: (res, columns, { sheetName }) => {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: true });
+      const sheet = workbook.addWorksheet(sheetName);
+      return {
+        start: async () => {
+          sheet.columns = columns.map(col => ({ header: col.header, key: col.key, width: Math.max(12, col.header.length + 2) }));
+          sheet.getRow(1).font = { bold: true };
+          sheet.getRow(1).commit();
+        },
+        row: async values => {
+          if (res.destroyed) throw new Error('Client closed the connection');
+          sheet.addRow(values.map(value => value ?? null)).commit();
+        },
+        // Committing the workbook finalises the zip and ends the response
+        end: async () => {
+          sheet.commit();
+          await workbook.commit();
+        }
+      };
+    }
+  }
+};
+
+const isExportFormat = format => Object.prototype.hasOwnProperty.call(FORMATS, format);
+
+// Columns for a collection, optionally narrowed to the requested keys.
+// Returns { columns } or { error } listing unknown field names.
+function getExportColumns(collection, { fields, questions } = {}) {
+  const columns = columnSets[collection]({ questions });
+  if (!fields || fields.length === 0) return { columns };
+
+  const byKey = new Map(columns.map(col => [col.key, col]));
+  const unknown = fields.filter(field => !byKey.has(field));
+  if (unknown.length > 0) {
+    return { error: `Unknown fields: ${unknown.join(', ')}. Available: ${columns.map(col => col.key).join(', ')}` };
+  }
+  return { columns: fields.map(field => byKey.get(field)) };
+}
+
+// Streams every document from `cursor` to `res` in the requested format.
+// Once headers are sent, failures destroy the response instead of sending JSON.
+async function streamExport(res, { cursor, columns, format, filename, sheetName = filename }) {
+  const { contentType, createWriter } = FORMATS[format];
+
+  res.status(200).set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${filename}.${format}"`,
+    'Cache-Control': 'private, no-store'
+  });
+
+  const writer = createWriter(res, columns, { sheetName: sheetName.slice(0, 31) });
+  let rows = 0;
+
+  try {
+    await writer.start();
+    for await (const doc of cursor) {
+      await writer.row(columns.map(col => col.value(doc)));
+      rows += 1;
+    }
+    await writer.end();
+  } finally {
+    await cursor.close().catch(() => {});
+  }
+
+  return rows;
+}
+
+module.exports = {
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  isExportFormat,
+  getExportColumns,
+  streamExport,
+  toCsvCell
+};
@@ -0,0 +1,74 @@
+// ========================
+// CULTURE QUIZ CONTENT
+// The question bank and level thresholds the backend scores against. There is
+// no built-in bank: the content must match the live quiz exactly, so it comes
+// from CULTURE_QUIZ_CONFIG and the server refuses to start without it.
+//
+// Contract with the frontend:
+//   - answers are submitted as { questionId: points }
+//   - a question id must be one of `questions[].id`
+//   - points must equal one of that question's `options[].points`
+//   - scorePercentage = totalScore / sum(max option points) * 100, rounded
+//   - the level is the first of `levels` (highest minPercentage first) whose minimum is met
+//
+// CULTURE_QUIZ_CONFIG is JSON in this shape:
+//   {"questions":[{"id":"q1","text":"...","options":[{"label":"...","points":14}]}],
+//    "levels":[{"level":"THRIVING ECOSYSTEM","minPercentage":80,"cta":"..."}]}
+// ========================
+
+// Checks quiz content and puts it in the form the scorer expects (string ids,
+// levels highest first). Throws with a readable message when the shape is wrong.
+function normaliseCultureQuiz({ questions, levels }) {
+  if (!Array.isArray(questions) || questions.length === 0) throw new Error('questions must be a non-empty array');
+  if (!Array.isArray(levels) || levels.length === 0) throw new Error('levels must be a non-empty array');
+
+  const ids = new Set();
+  const normalisedQuestions = questions.map((question, i) => {
+    const id = question && question.id !== undefined ? String(question.id) : '';
+    if (!id) throw new Error(`questions[${i}].id is required`);
+    if (ids.has(id)) throw new Error(`questions[${i}].id "${id}" is used twice`);
+    ids.add(id);
+
+    if (!Array.isArray(question.options) || question.options.length === 0) {
+      throw new Error(`questions[${i}].options must be a non-empty array`);
+    }
+    question.options.forEach((option, j) => {
+      if (!option || !Number.isFinite(option.points)) throw new Error(`questions[${i}].options[${j}].points must be a number`);
+    });
+    return { ...question, id };
+  });
+
+  levels.forEach((level, i) => {
+    if (!level || !level.level || !level.cta || !Number.isFinite(level.minPercentage)) {
+      throw new Error(`levels[${i}] needs a level name, a cta and a numeric minPercentage`);
+    }
+  });
+  const normalisedLevels = [...levels].sort((a, b) => b.minPercentage - a.minPercentage);
+
+  return { questions: normalisedQuestions, levels: normalisedLevels };
+}
+
+// Parses CULTURE_QUIZ_CONFIG; throws when it is missing, not JSON or the wrong shape
+function parseCultureQuizConfig(raw) {
+  if (!raw) throw new Error('CULTURE_QUIZ_CONFIG is not set');
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`CULTURE_QUIZ_CONFIG is not valid JSON: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('CULTURE_QUIZ_CONFIG must be a JSON object with questions and levels');
+  }
+
+  try {
+    return normaliseCultureQuiz(config);
+  } catch (error) {
+    throw new Error(`Invalid CULTURE_QUIZ_CONFIG: ${error.message}`);
+  }
+}
+
+module.exports = {
+  parseCultureQuizConfig
+};
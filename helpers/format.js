@@ -0,0 +1,57 @@
+// ========================
+// FORMATTING HELPERS
+// Shared by the API routes and the email templates.
+// ========================
+
+// Display labels for the contact form's activityType values
+const ACTIVITY_TYPE_LABELS = {
+  'team-building': 'Team Building',
+  'wellness-programs': 'Wellness Programs',
+  'creative-workshops': 'Creative Workshops',
+  'sports-tournaments': 'Sports Tournaments',
+  'entertainment-events': 'Entertainment Events',
+  'offsite-retreats': 'Offsite Retreats'
+};
+
+const formatActivityTypes = (activities) => {
+  if (!activities || activities.length === 0) return 'None selected';
+  return activities.map(activity => ACTIVITY_TYPE_LABELS[activity] || activity).join(', ');
+};
+
+// Default display locale for each supported currency
+const CURRENCY_LOCALES = {
+  INR: 'en-IN',
+  AED: 'en-AE',
+  SGD: 'en-SG',
+  USD: 'en-US'
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_LOCALES);
+
+// Format a whole-unit amount in any supported currency, e.g. formatCurrency(1500, 'USD') → "$1,500".
+// Pass { currencyDisplay: 'code' } for "USD 1,500" where symbols like ₹ can't be rendered (PDF fonts).
+function formatCurrency(n, currency = 'INR', locale = CURRENCY_LOCALES[currency] || 'en-IN', { currencyDisplay = 'symbol' } = {}) {
+  const amount = typeof n !== "number" || isNaN(n) ? 0 : n;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    currencyDisplay,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  }).format(amount);
+}
+
+// Subject prefix for team notifications, e.g. "[HOT 72] "; empty when the lead hasn't been scored
+function formatLeadScorePrefix(leadScore) {
+  if (!leadScore || typeof leadScore.score !== 'number') return '';
+  return `[${String(leadScore.tier).toUpperCase()} ${leadScore.score}] `;
+}
+
+module.exports = {
+  ACTIVITY_TYPE_LABELS,
+  CURRENCY_LOCALES,
+  SUPPORTED_CURRENCIES,
+  formatActivityTypes,
+  formatCurrency,
+  formatLeadScorePrefix
+};
@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const util = require('util');
+
+// ========================
+// LOGGING
+// One JSON object per line: { time, level, msg, requestId, ...fields }.
+// Call like console: logger.info('message', { fields }, error) — plain objects
+// become fields, an Error becomes `err`, anything else is appended to the message.
+// The request ID (and anything else passed to withLogContext) is picked up
+// automatically from the async context, so every line logged while handling a
+// request — or a background job started for it — carries the same ID.
+// Emails, phone numbers and IP addresses are redacted wherever they appear.
+// LOG_LEVEL (debug, info, warn, error) and LOG_FORMAT (json, pretty) configure output.
+// ========================
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const logContext = new AsyncLocalStorage();
+
+// Values under these keys are dropped entirely, whatever they look like
+const REDACTED_KEYS = new Set([
+  'authorization',
+  'captchatoken',
+  'cookie',
+  'formtoken',
+  'fullname',
+  'ip',
+  'ipaddress',
+  'password',
+  'phone',
+  'phonenumber',
+  'secret',
+  'token',
+  'x-api-key'
+]);
+
+// Run in this order: IPv6 before IPv4 (mapped addresses contain both), IPs before phone numbers
+const REDACTIONS = [
+  // The lookbehind pins matches to the start of a local part, keeping long strings linear
+  [/(?<![A-Z0-9._%+-])[A-Z0-9._%+-]+@([A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,})/gi, '***@$1'],
+  [/(?<![\w:.])(?:(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}|(?:[0-9a-f]{1,4}:){0,6}[0-9a-f]{0,4}::(?:[0-9a-f]{1,4}:){0,5}(?:(?:\d{1,3}\.){3}\d{1,3}|[0-9a-f]{1,4})?)(?![\w:])/gi, match => (/[0-9a-f]/i.test(match) ? '[ip]' : match)],
+  [/\b(?:\d{1,3}\.){3}\d{1,3}\b/g, '[ip]'],
+  [/(?<![\w.])\+?\d[\d\s().-]{8,18}\d(?![\w.])/g, match => {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 10 && digits <= 15 ? '[phone]' : match;
+  }]
+];
+
+function redactText(text) {
+  return REDACTIONS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return serializeError(value);
+  if (depth > 5) return '[object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  // Mongoose documents, ObjectIds, Maps etc. log as their JSON form
+  const plain = typeof value.toJSON === 'function' ? value.toJSON() : value;
+  if (plain === null || typeof plain !== 'object') return redact(plain, depth + 1);
+
+  return Object.fromEntries(Object.entries(plain).map(([key, item]) => [
+    key,
+    REDACTED_KEYS.has(key.toLowerCase()) ? '[redacted]' : redact(item, depth + 1)
+  ]));
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(String(error.message)),
+    ...(error.code !== undefined && { code: error.code }),
+    ...(error.stack && { stack: redactText(error.stack) })
+  };
+}
+
+function formatPretty({ time, level, msg, requestId, ...fields }) {
+  const extra = Object.keys(fields).length > 0 ? ` ${util.inspect(fields, { depth: 4, breakLength: Infinity })}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${requestId ? `[${requestId}] ` : ''}${msg}${extra}`;
+}
+
+function createLogger({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || 'json',
+  fields: baseFields = {}
+} = {}) {
+  const threshold = LOG_LEVELS[level] || LOG_LEVELS.info;
+
+  function log(levelName, message, ...args) {
+    if (LOG_LEVELS[levelName] < threshold) return;
+
+    const fields = {};
+    const extraText = [];
+    for (const arg of args) {
+      if (arg instanceof Error) fields.err = arg;
+      else if (arg && typeof arg === 'object' && !Array.isArray(arg)) Object.assign(fields, arg);
+      else extraText.push(typeof arg === 'string' ? arg : util.inspect(arg));
+    }
+
+    let msg = String(message);
+    if (extraText.length > 0) msg = `${msg} ${extraText.join(' ')}`;
+    // 'Error saving lead:' reads oddly once the error has moved into its own field
+    else if (Object.keys(fields).length > 0) msg = msg.replace(/:\s*$/, '');
+
+    // Context (request IDs, job IDs) is ours; only the message and fields can carry PII
+    const entry = {
+      time: new Date().toISOString(),
+      level: levelName,
+      msg: redactText(msg),
+      ...logContext.getStore(),
+      ...redact({ ...baseFields, ...fields })
+    };
+
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LOG_LEVELS[levelName] >= LOG_LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+  }
+
+  return {
+    debug: (...args) => log('debug', ...args),
+    info: (...args) => log('info', ...args),
+    warn: (...args) => log('warn', ...args),
+    error: (...args) => log('error', ...args),
+    child: fields => createLogger({ level, format, fields: { ...baseFields, ...fields } })
+  };
+}
+
+// Runs `fn` with extra fields (e.g. { requestId }) attached to every line it logs
+function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+const getLogContext = () => logContext.getStore() || {};
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  withLogContext,
+  getLogContext,
+  redact
+};
@@ -0,0 +1,48 @@
+const client = require('prom-client');
+
+// ========================
+// METRICS
+// Prometheus metrics served from GET /metrics. Node's default process metrics
+// (CPU, memory, GC, event-loop lag) are collected alongside the app's own.
+// Label values must stay low-cardinality: form types, providers, outcomes and
+// route patterns — never ids or emails.
+// ========================
+
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+// outcome: accepted | quarantined | duplicate | rejected | rate_limited | error
+const submissionsTotal = new client.Counter({
+  name: 'onethrive_submissions_total',
+  help: 'Public form submissions by form and outcome',
+  labelNames: ['form', 'outcome'],
+  registers: [register]
+});
+
+// outcome: success | failure
+const emailSendsTotal = new client.Counter({
+  name: 'onethrive_email_sends_total',
+  help: 'Email send attempts by provider and outcome',
+  labelNames: ['provider', 'outcome'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'onethrive_http_request_duration_seconds',
+  help: 'HTTP request latency by route pattern',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Gauges whose value is read at scrape time, e.g. createGauge({ ..., collect() { this.set(x); } })
+const createGauge = options => new client.Gauge({ ...options, registers: [register] });
+
+module.exports = {
+  register,
+  submissionsTotal,
+  emailSendsTotal,
+  httpRequestDuration,
+  createGauge
+};
@@ -0,0 +1,91 @@
+const dns = require('dns');
+const net = require('net');
+
+// ========================
+// NETWORK ADDRESSES
+// Tells public internet addresses apart from loopback, private, link-local and
+// other special-purpose ranges, so server-side requests to user-supplied URLs
+// (webhooks) can't be pointed at localhost, the internal network or cloud
+// metadata endpoints such as 169.254.169.254.
+// ========================
+
+const NON_PUBLIC_RANGES = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved, broadcast
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64 — can reach IPv4 private ranges
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8] // multicast
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const IPV4_MAPPED_PATTERN = /^::ffff:(\d{1,3}(?:\.\d{1,3}){3})$/i;
+
+// True for an IPv4/IPv6 address on the public internet; false for special-purpose
+// ranges and for anything that isn't an IP address at all
+function isPublicAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '');
+  const mapped = ip.match(IPV4_MAPPED_PATTERN);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  if (family === 6 && /^::ffff:/i.test(ip)) return false; // mapped address in hex form
+  return !NON_PUBLIC_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hostnames that always mean this machine or the local network
+function isLocalHostname(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal');
+}
+
+// Drop-in `lookup` for http(s).request / net.connect that fails instead of
+// connecting when the hostname resolves to any non-public address. The check
+// happens on the very lookup used to connect, so a DNS answer that changes after
+// an earlier check (DNS rebinding) can't slip through. IP-literal hosts are
+// never looked up — check those separately with isPublicAddress().
+function lookupPublicAddress(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const refused = addresses.find(entry => !isPublicAddress(entry.address));
+    if (refused) {
+      const refusal = new Error(`${hostname} resolves to a local or private address (${refused.address})`);
+      refusal.code = 'ENOTPUBLIC';
+      return callback(refusal);
+    }
+    callback(null, address, family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  isLocalHostname,
+  lookupPublicAddress
+};
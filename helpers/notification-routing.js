@@ -0,0 +1,47 @@
+// ========================
+// NOTIFICATION ROUTING RULES
+// Picks the team notification recipients for a submission from the admin-managed
+// rules. Rules are expected in priority order; every condition a rule sets must
+// match, and a rule with no conditions matches everything. Matching rules add
+// their recipients until one has `stopProcessing` set.
+// Facts: { formType, activityType: [], companySize, cultureLevel }
+// ========================
+
+function ruleMatches({ conditions = {} }, { formType, activityType = [], companySize, cultureLevel }) {
+  const { formTypes = [], activityTypes = [], cultureLevels = [], minCompanySize, maxCompanySize } = conditions;
+
+  if (formTypes.length > 0 && !formTypes.includes(formType)) return false;
+  if (activityTypes.length > 0 && !activityTypes.some(activity => activityType.includes(activity))) return false;
+  if (cultureLevels.length > 0 && !cultureLevels.includes(cultureLevel)) return false;
+
+  const hasSizeCondition = typeof minCompanySize === 'number' || typeof maxCompanySize === 'number';
+  if (hasSizeCondition) {
+    if (typeof companySize !== 'number') return false;
+    if (typeof minCompanySize === 'number' && companySize < minCompanySize) return false;
+    if (typeof maxCompanySize === 'number' && companySize > maxCompanySize) return false;
+  }
+  return true;
+}
+
+// Returns { recipients, matchedRules } for the given facts; `defaultRecipients` when no rule matches
+function routeNotification(rules, facts, defaultRecipients) {
+  const recipients = new Set();
+  const matchedRules = [];
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, facts)) continue;
+    matchedRules.push(rule.name);
+    rule.recipients.forEach(email => recipients.add(email));
+    if (rule.stopProcessing) break;
+  }
+
+  if (recipients.size === 0) {
+    return { recipients: defaultRecipients, matchedRules: [] };
+  }
+  return { recipients: [...recipients], matchedRules };
+}
+
+module.exports = {
+  ruleMatches,
+  routeNotification
+};
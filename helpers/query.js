@@ -0,0 +1,190 @@
+// ========================
+// LIST QUERY HELPERS
+// Turns list/export query strings into Mongo filters, sorting and pagination
+// from a per-collection spec:
+//   {
+//     dateField: 'createdAt',                      // ?from= / ?to=
+//     search: ['fullName', 'workEmail'],           // ?q= matches any of these
+//     text: { email: 'workEmail' },                // ?email= substring match
+//     match: { currency: { field, cast } },        // ?currency=USD,INR exact match
+//     ranges: { numEmployees: 'numEmployees' },    // ?minNumEmployees= / ?maxNumEmployees=
+//     sort: { createdAt: { field, type } }         // ?sort=-createdAt
+//   }
+// Pagination is either ?page= (offset) or ?cursor= (keyset, stays fast on deep pages).
+// Cursor pages leave out the total count, which would scan the whole filter on
+// every page; send ?includeTotal=true to get it anyway.
+// ========================
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Repeated (?a=1&a=2) and comma-separated (?a=1,2) values both become a list
+const listParam = value => [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+
+function parseDateParam(value, { endOfDay = false } = {}) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+function containsPattern(value) {
+  const text = String(value).trim().slice(0, MAX_SEARCH_LENGTH);
+  return text ? { $regex: escapeRegex(text), $options: 'i' } : null;
+}
+
+// Returns { filter } or { error }
+function buildListFilter(spec, query) {
+  const conditions = [];
+
+  if (query.from || query.to) {
+    const range = {};
+    if (query.from) {
+      range.$gte = parseDateParam(String(query.from));
+      if (!range.$gte) return { error: 'Invalid "from" date' };
+    }
+    if (query.to) {
+      range.$lte = parseDateParam(String(query.to), { endOfDay: true });
+      if (!range.$lte) return { error: 'Invalid "to" date' };
+    }
+    conditions.push({ [spec.dateField || 'createdAt']: range });
+  }
+
+  if (query.q && spec.search) {
+    const pattern = containsPattern(query.q);
+    if (pattern) conditions.push({ $or: spec.search.map(field => ({ [field]: pattern })) });
+  }
+
+  for (const [param, field] of Object.entries(spec.text || {})) {
+    if (query[param] === undefined) continue;
+    const pattern = containsPattern(query[param]);
+    if (pattern) conditions.push({ [field]: pattern });
+  }
+
+  for (const [param, { field, cast = value => value }] of Object.entries(spec.match || {})) {
+    if (query[param] === undefined) continue;
+    const values = listParam(query[param]).map(cast);
+    if (values.some(value => typeof value === 'number' && isNaN(value))) {
+      return { error: `Invalid "${param}" value` };
+    }
+    if (values.length > 0) conditions.push({ [field]: values.length === 1 ? values[0] : { $in: values } });
+  }
+
+  for (const [name, field] of Object.entries(spec.ranges || {})) {
+    const range = {};
+    for (const [prefix, operator] of [['min', '$gte'], ['max', '$lte']]) {
+      const param = `${prefix}${capitalize(name)}`;
+      if (query[param] === undefined) continue;
+      const value = Number(query[param]);
+      if (isNaN(value)) return { error: `"${param}" must be a number` };
+      range[operator] = value;
+    }
+    if (Object.keys(range).length > 0) conditions.push({ [field]: range });
+  }
+
+  if (conditions.length === 0) return { filter: {} };
+  return { filter: conditions.length === 1 ? conditions[0] : { $and: conditions } };
+}
+
+const getPath = (doc, field) => field.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+function encodeCursor(doc, { sortParam, sortField }) {
+  const value = getPath(doc, sortField.field);
+  const payload = { s: sortParam, v: value instanceof Date ? value.toISOString() : (value ?? null), id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload.id === 'string' && /^[a-f0-9]{24}$/i.test(payload.id) ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Returns { filter, pageFilter, sort, skip, limit, page, withTotal, ... } or { error }.
+// `filter` is the plain filter (for counts and statistics); `pageFilter` adds the cursor position.
+// `withTotal` says whether the caller should count the filter for this page.
+function buildListQuery(spec, query) {
+  const { filter, error } = buildListFilter(spec, query);
+  if (error) return { error };
+
+  const sortParam = String(query.sort || spec.defaultSort || '-createdAt').trim();
+  const direction = sortParam.startsWith('-') ? -1 : 1;
+  const sortField = spec.sort[sortParam.replace(/^[-+]/, '')];
+  if (!sortField) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(spec.sort).join(', ')} (prefix with - for descending)` };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  // _id breaks ties so keyset pagination never skips or repeats documents
+  const sort = { [sortField.field]: direction, _id: direction };
+  const listQuery = { filter, sort, limit, sortParam, sortField };
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sortParam) return { error: 'Invalid cursor for this sort order' };
+
+    const value = sortField.type === 'date' && cursor.v !== null ? new Date(cursor.v) : cursor.v;
+    const validValue = value === null ||
+      (sortField.type === 'date' ? !isNaN(value.getTime()) : typeof value === sortField.type);
+    if (!validValue) return { error: 'Invalid cursor for this sort order' };
+
+    const { field } = sortField;
+    const operator = direction === -1 ? '$lt' : '$gt';
+    // Documents missing the field (e.g. not yet scored) sort first ascending and last descending
+    let after;
+    if (value === null) {
+      after = direction === -1
+        ? { [field]: null, _id: { $lt: cursor.id } }
+        : { $or: [{ [field]: { $ne: null } }, { [field]: null, _id: { $gt: cursor.id } }] };
+    } else {
+      after = {
+        $or: [
+          { [field]: { [operator]: value } },
+          { [field]: value, _id: { [operator]: cursor.id } },
+          ...(direction === -1 ? [{ [field]: null }] : [])
+        ]
+      };
+    }
+    const withTotal = String(query.includeTotal) === 'true';
+    return { ...listQuery, pageFilter: { $and: [filter, after] }, skip: 0, page: null, withTotal };
+  }
+
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  return { ...listQuery, pageFilter: filter, skip: (page - 1) * limit, page, withTotal: true };
+}
+
+// Expects `docs` fetched with limit + 1 so we know whether another page exists.
+// `total` is left out of the result when it wasn't counted.
+function paginate(docs, listQuery, total) {
+  const { limit, page } = listQuery;
+  const items = docs.slice(0, limit);
+  const hasMore = docs.length > limit;
+
+  return {
+    items,
+    pagination: {
+      ...(page !== null && { page }),
+      limit,
+      ...(total !== undefined && { total, pages: Math.ceil(total / limit) }),
+      sort: listQuery.sortParam,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(items[items.length - 1], listQuery) : null
+    }
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  listParam,
+  buildListFilter,
+  buildListQuery,
+  paginate
+};
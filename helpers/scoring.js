@@ -0,0 +1,113 @@
+// ========================
+// LEAD SCORING
+// Turns buying signals into a 0–100 score and a tier. Each signal is either
+//   { bands: [{ min, points }] }         numeric — first band whose `min` is met wins
+//   { values: { key: points }, max }     categorical — array signals add up, capped at `max`
+// Monetary signals (annualRevenue, totalHiddenLoss) are in the reporting currency.
+// ========================
+
+const DEFAULT_LEAD_SCORING = {
+  signals: {
+    numEmployees: {
+      bands: [{ min: 1000, points: 20 }, { min: 250, points: 14 }, { min: 50, points: 8 }, { min: 10, points: 3 }]
+    },
+    annualRevenue: {
+      bands: [{ min: 1e10, points: 20 }, { min: 1e9, points: 14 }, { min: 1e8, points: 8 }, { min: 1e7, points: 3 }]
+    },
+    totalHiddenLoss: {
+      bands: [{ min: 1e8, points: 20 }, { min: 2.5e7, points: 14 }, { min: 5e6, points: 8 }, { min: 1e6, points: 3 }]
+    },
+    // Weaker cultures have the most to gain
+    cultureLevel: {
+      values: {
+        'DORMANT SEED': 20,
+        'BUDDING POTENTIAL': 14,
+        'GROWING GARDEN': 8,
+        'THRIVING ECOSYSTEM': 3
+      }
+    },
+    participants: {
+      bands: [{ min: 200, points: 10 }, { min: 50, points: 6 }, { min: 10, points: 3 }]
+    },
+    activityType: {
+      values: {
+        'offsite-retreats': 6,
+        'team-building': 4,
+        'wellness-programs': 4,
+        'creative-workshops': 3,
+        'sports-tournaments': 3,
+        'entertainment-events': 2
+      },
+      max: 10
+    }
+  },
+  tiers: [
+    { tier: 'hot', min: 50 },
+    { tier: 'warm', min: 25 },
+    { tier: 'cold', min: 0 }
+  ]
+};
+
+// Overrides replace whole signals (or the whole tier list); anything not mentioned keeps its default
+function mergeScoringConfig(base, override = {}) {
+  const tiers = Array.isArray(override.tiers) ? override.tiers : base.tiers;
+  if (!tiers.every(tier => tier && typeof tier.tier === 'string' && Number.isFinite(tier.min))) {
+    throw new Error('tiers must be a list of { tier, min }');
+  }
+  const signals = { ...base.signals, ...(override.signals || {}) };
+  return {
+    // Bands and tiers are matched highest-first, so keep them sorted whatever order they were given in
+    signals: Object.fromEntries(Object.entries(signals).map(([name, rule]) => [
+      name,
+      rule.bands ? { ...rule, bands: [...rule.bands].sort((a, b) => b.min - a.min) } : rule
+    ])),
+    tiers: [...tiers].sort((a, b) => b.min - a.min)
+  };
+}
+
+function scoreSignal(rule, value) {
+  if (rule.bands) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return 0;
+    const band = rule.bands.find(({ min }) => number >= min);
+    return band ? band.points : 0;
+  }
+
+  if (rule.values) {
+    const points = [].concat(value).reduce((sum, item) => sum + (rule.values[item] || 0), 0);
+    return rule.max === undefined ? points : Math.min(points, rule.max);
+  }
+
+  return 0;
+}
+
+// `signals` may be partial — missing signals score nothing.
+// Returns { score, tier, breakdown: [{ signal, value, points }], scoredAt }
+function scoreLead(signals, config = DEFAULT_LEAD_SCORING) {
+  const breakdown = [];
+
+  for (const [signal, rule] of Object.entries(config.signals)) {
+    const value = signals[signal];
+    if (value === undefined || value === null || value === '') continue;
+    const points = scoreSignal(rule, value);
+    if (points > 0) breakdown.push({ signal, value, points });
+  }
+
+  const score = Math.min(100, Math.round(breakdown.reduce((sum, { points }) => sum + points, 0)));
+  const match = config.tiers.find(({ min }) => score >= min) || config.tiers[config.tiers.length - 1];
+
+  return { score, tier: match.tier, breakdown, scoredAt: new Date() };
+}
+
+// Contact forms collect participants as free text ("50", "50-100", "around 200") — use the first number
+function parseParticipants(participants) {
+  const match = String(participants || '').replace(/,/g, '').match(/\d+/);
+  return match ? Number(match[0]) : undefined;
+}
+
+module.exports = {
+  DEFAULT_LEAD_SCORING,
+  mergeScoringConfig,
+  scoreLead,
+  parseParticipants
+};
@@ -0,0 +1,139 @@
+// ========================
+// GRACEFUL SHUTDOWN
+// On SIGTERM/SIGINT, or after a crash, the coordinator:
+//   1. stops accepting connections; requests that still arrive on open
+//      keep-alive sockets are answered with 503
+//   2. waits for in-flight requests and tracked background tasks, up to timeoutMs
+//   3. runs the cleanup steps registered with onShutdown (e.g. closing Mongo), in
+//      order, giving each up to cleanupTimeoutMs
+//   4. exits — with code 1 when the shutdown was caused by a crash
+// Background work that must not be cut off half-way (email sends, webhook
+// deliveries, maintenance jobs) goes through track(). A second signal exits at once.
+// ========================
+
+const DRAIN_POLL_MS = 100;
+// e.g. closing a Mongo connection that is still trying to connect never resolves
+const CLEANUP_STEP_TIMEOUT_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function runWithTimeout(fn, ms, label) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([Promise.resolve().then(fn), timeout]).finally(() => clearTimeout(timer));
+}
+
+function createShutdownCoordinator({
+  logger,
+  timeoutMs = 25000,
+  cleanupTimeoutMs = CLEANUP_STEP_TIMEOUT_MS,
+  exit = code => process.exit(code)
+}) {
+  const tasks = new Set();
+  const cleanups = [];
+  let server = null;
+  let activeRequests = 0;
+  let shutdownPromise = null;
+
+  const isShuttingDown = () => shutdownPromise !== null;
+
+  // Runs `work` (a function or a promise) and keeps shutdown waiting until it settles.
+  // Returns the work's own promise, so callers handle its errors as before.
+  function track(work, label = 'background task') {
+    const promise = Promise.resolve().then(() => (typeof work === 'function' ? work() : work));
+    const task = { label, promise };
+    tasks.add(task);
+    promise.then(() => tasks.delete(task), () => tasks.delete(task));
+    return promise;
+  }
+
+  // Express middleware counting in-flight requests and turning new ones away while draining
+  function middleware(req, res, next) {
+    if (isShuttingDown()) {
+      res.set({ 'Connection': 'close', 'Retry-After': '5' });
+      return res.status(503).json({ error: 'Server is shutting down' });
+    }
+
+    activeRequests += 1;
+    let finished = false;
+    const done = () => {
+      if (finished) return;
+      finished = true;
+      activeRequests -= 1;
+    };
+    res.on('finish', done);
+    res.on('close', done);
+    next();
+  }
+
+  function setServer(httpServer) {
+    server = httpServer;
+  }
+
+  function onShutdown(name, fn) {
+    cleanups.push({ name, fn });
+  }
+
+  // Resolves true once nothing is running, false when the timeout ran out first
+  async function drain() {
+    const deadline = Date.now() + timeoutMs;
+    while (activeRequests > 0 || tasks.size > 0) {
+      if (Date.now() >= deadline) return false;
+      // Keep-alive sockets go idle as their last response finishes
+      if (server) server.closeIdleConnections();
+      await sleep(DRAIN_POLL_MS);
+    }
+    return true;
+  }
+
+  function begin(reason, exitCode = 0) {
+    if (shutdownPromise) return shutdownPromise;
+
+    shutdownPromise = (async () => {
+      logger.info(`${reason}, shutting down gracefully (${activeRequests} request(s) and ${tasks.size} background task(s) in flight, waiting up to ${timeoutMs / 1000}s)...`);
+      if (server) server.close(() => {});
+
+      if (!await drain()) {
+        const pending = [...tasks].map(({ label }) => label);
+        logger.warn(`Shutdown timeout reached with ${activeRequests} request(s) still open${pending.length ? ` and unfinished tasks: ${pending.join(', ')}` : ''}`);
+      }
+      if (server) server.closeAllConnections();
+
+      for (const { name, fn } of cleanups) {
+        try {
+          await runWithTimeout(fn, cleanupTimeoutMs, name);
+        } catch (error) {
+          logger.error(`Shutdown step "${name}" failed:`, error);
+        }
+      }
+
+      logger.info('Shutdown complete');
+      exit(exitCode);
+    })();
+    return shutdownPromise;
+  }
+
+  function handleSignal(signal) {
+    if (isShuttingDown()) {
+      logger.warn(`${signal} received again, exiting immediately`);
+      return exit(1);
+    }
+    return begin(`${signal} received`);
+  }
+
+  return {
+    track,
+    middleware,
+    setServer,
+    onShutdown,
+    isShuttingDown,
+    begin,
+    handleSignal
+  };
+}
+
+module.exports = {
+  createShutdownCoordinator
+};
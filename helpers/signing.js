@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+// ========================
+// SIGNING
+// HMAC helpers behind admin tokens, form tokens, report download links and
+// webhook signatures. Secrets are passed in rather than read from the
+// environment, and the output must stay byte-for-byte the same: tokens and
+// links already handed out are checked against it.
+// ========================
+
+// Constant-time string comparison; false for different lengths
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function hmac(secret, data, encoding = 'base64url') {
+  return crypto.createHmac('sha256', secret).update(data).digest(encoding);
+}
+
+// Token format: base64url(JSON payload) + "." + base64url(HMAC of prefix + encoded payload).
+// Tokens for different purposes use different prefixes (or secrets) so one can't stand in for another.
+function createSignedToken(payload, secret, { prefix = '' } = {}) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${hmac(secret, `${prefix}${encodedPayload}`)}`;
+}
+
+// Returns the payload of a correctly signed token, or null. Expiry and other
+// claims are left to the caller.
+function readSignedToken(token, secret, { prefix = '' } = {}) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [encodedPayload, signature] = token.split('.');
+  if (!encodedPayload || !signature) return null;
+  if (!safeEqual(signature, hmac(secret, `${prefix}${encodedPayload}`))) return null;
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8')) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// `expires` is epoch seconds
+function signReportLink(secret, kind, id, expires) {
+  return hmac(secret, `${kind}:${id}:${expires}`);
+}
+
+function verifyReportLink(secret, kind, id, { expires, token }, now = Date.now()) {
+  if (!secret || typeof token !== 'string') return false;
+  const expiresAt = parseInt(expires, 10);
+  if (!expiresAt || expiresAt < Math.floor(now / 1000)) return false;
+  return safeEqual(token, signReportLink(secret, kind, id, expiresAt));
+}
+
+// Sent as `X-OneThrive-Signature: t=<timestamp>,v1=<hex digest>`
+function signWebhookPayload(secret, timestamp, body) {
+  return hmac(secret, `${timestamp}.${body}`, 'hex');
+}
+
+module.exports = {
+  safeEqual,
+  createSignedToken,
+  readSignedToken,
+  signReportLink,
+  verifyReportLink,
+  signWebhookPayload
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+
+// ========================
+// SPAM CHECKS
+// Cheap signals that a form was filled in by a bot rather than a person. Each
+// check returns a reason code; a submission with any reason is quarantined.
+//   honeypot          hidden field that people never see, so never fill in
+//   too-fast          submitted sooner after the form loaded than a person could
+//   disposable-email  throwaway mailbox domain
+//   too-many-links    more URLs in the free-text fields than a genuine enquiry needs
+//   repeated-payload  the same payload submitted again and again (counted by the caller)
+// ========================
+
+const DEFAULT_SPAM_CONFIG = {
+  honeypotField: 'website',
+  minSubmitMs: 3000,
+  maxLinks: 2,
+  disposableDomains: [
+    '10minutemail.com',
+    'dispostable.com',
+    'emailondeck.com',
+    'fakeinbox.com',
+    'getnada.com',
+    'guerrillamail.com',
+    'guerrillamail.net',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailnesia.com',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'sharklasers.com',
+    'spamgourmet.com',
+    'temp-mail.org',
+    'tempmail.com',
+    'tempmail.net',
+    'tempmailo.com',
+    'throwawaymail.com',
+    'trashmail.com',
+    'yopmail.com'
+  ]
+};
+
+// Fields the spam checks read from the request; they are never stored on the submission
+const SPAM_CONTROL_FIELDS = ['formStartedAt'];
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+function countLinks(text) {
+  return (String(text || '').match(LINK_PATTERN) || []).length;
+}
+
+// The domain or any parent domain is on the list (mail.yopmail.com matches yopmail.com)
+function isDisposableEmail(email, domains) {
+  const domain = String(email || '').trim().toLowerCase().split('@')[1];
+  if (!domain) return false;
+  const blocked = new Set(domains);
+  const parts = domain.split('.');
+  return parts.some((_, i) => blocked.has(parts.slice(i).join('.')));
+}
+
+// Accepts epoch milliseconds or an ISO date; returns null when missing or unreadable
+function parseStartedAt(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Key order doesn't change the fingerprint, and neither does case or surrounding whitespace
+function canonicalise(value) {
+  if (Array.isArray(value)) return value.map(canonicalise);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalise(value[key])]));
+  }
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+function fingerprintPayload(formType, payload) {
+  return crypto.createHash('sha256').update(`${formType}:${JSON.stringify(canonicalise(payload))}`).digest('hex');
+}
+
+// Runs the stateless checks. `body` is the raw request body (honeypot and timing
+// fields live there); `email` and `text` come from the submission itself.
+// `startedAt` (epoch ms), when the caller knows it more reliably than the
+// client-sent formStartedAt, takes precedence.
+// Returns the list of reason codes — empty when nothing looks wrong.
+function checkSubmission({ body = {}, email, text = [], startedAt, now = Date.now() }, config = DEFAULT_SPAM_CONFIG) {
+  const reasons = [];
+
+  const honeypot = body[config.honeypotField];
+  if (honeypot !== undefined && honeypot !== null && String(honeypot).trim() !== '') {
+    reasons.push('honeypot');
+  }
+
+  // Older clients don't send formStartedAt, so a missing value is not held against them
+  const started = startedAt ?? parseStartedAt(body.formStartedAt);
+  if (started !== null && now - started < config.minSubmitMs) {
+    reasons.push('too-fast');
+  }
+
+  if (isDisposableEmail(email, config.disposableDomains)) {
+    reasons.push('disposable-email');
+  }
+
+  if (text.reduce((sum, value) => sum + countLinks(value), 0) > config.maxLinks) {
+    reasons.push('too-many-links');
+  }
+
+  return reasons;
+}
+
+module.exports = {
+  DEFAULT_SPAM_CONFIG,
+  SPAM_CONTROL_FIELDS,
+  checkSubmission,
+  fingerprintPayload,
+  countLinks,
+  isDisposableEmail
+};
@@ -0,0 +1,159 @@
+// ========================
+// REQUEST VALIDATION
+// Declarative request-body schemas. A schema is { fields, check? } where each
+// field is a rule:
+//   { type: 'string', minLength, maxLength, pattern, enum, uppercase }   trimmed; numbers become strings
+//   { type: 'email' }                                         string with a basic address check
+//   { type: 'number' | 'integer', min, max }                  numeric strings are converted
+//   { type: 'boolean' }                                       also accepts "true" / "false"
+//   { type: 'array', items, minLength, maxLength }            a single value becomes a one-item list
+//   { type: 'object', fields, allowUnknown } | { type: 'object', values }   nested object or map
+//   { type: 'any' }
+// Every rule may also set `required`, `default` and `nullable`. Fields not in
+// the schema are rejected unless the schema sets `allowUnknown`. `check(value)`
+// runs after every field is valid and returns cross-field errors.
+// validate() returns { value } with coerced values, or { errors: [{ field, reason }] }.
+// ========================
+
+// Deliberately loose, and linear-time: it runs on every public POST, so no overlapping
+// quantifiers — domain labels are split on literal dots and can't contain one
+const EMAIL_PATTERN = /^[^\s@]+@(?:[^\s@.]+\.)+[^\s@.]{2,}$/;
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isMissing = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const describe = values => values.join(', ');
+
+// Each checker returns { value } or { reason }
+const TYPES = {
+  any: value => ({ value }),
+
+  string(value, rule) {
+    if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+    if (typeof value !== 'string') return { reason: 'must be a string' };
+    value = value.trim();
+    if (rule.uppercase) value = value.toUpperCase();
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return { reason: `must be at least ${rule.minLength} characters` };
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return { reason: `must be at most ${rule.maxLength} characters` };
+    }
+    if (rule.enum && !rule.enum.includes(value)) return { reason: `must be one of: ${describe(rule.enum)}` };
+    if (rule.pattern && !rule.pattern.test(value)) return { reason: rule.patternReason || 'has an invalid format' };
+    return { value };
+  },
+
+  email(value, rule) {
+    const result = TYPES.string(value, { maxLength: 254, ...rule });
+    if (result.reason) return result;
+    return EMAIL_PATTERN.test(result.value) ? result : { reason: 'must be a valid email address' };
+  },
+
+  number(value, rule) {
+    const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) return { reason: 'must be a number' };
+    if (rule.integer && !Number.isInteger(number)) return { reason: 'must be a whole number' };
+    if (rule.min !== undefined && number < rule.min) return { reason: `must be at least ${rule.min}` };
+    if (rule.max !== undefined && number > rule.max) return { reason: `must be at most ${rule.max}` };
+    return { value: number };
+  },
+
+  integer: (value, rule) => TYPES.number(value, { ...rule, integer: true }),
+
+  boolean(value) {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { reason: 'must be true or false' };
+  }
+};
+
+// Validates one value against its rule, pushing any errors; returns the coerced value
+function validateValue(rule, value, field, errors) {
+  if (isMissing(value)) {
+    if (value === null && rule.nullable) return null;
+    if (rule.required) {
+      errors.push({ field, reason: 'is required' });
+      return undefined;
+    }
+    return typeof rule.default === 'function' ? rule.default() : rule.default;
+  }
+
+  if (rule.type === 'array') {
+    const items = Array.isArray(value) ? value : [value];
+    if (rule.minLength !== undefined && items.length < rule.minLength) {
+      errors.push({ field, reason: `must have at least ${rule.minLength} item${rule.minLength === 1 ? '' : 's'}` });
+      return undefined;
+    }
+    if (rule.maxLength !== undefined && items.length > rule.maxLength) {
+      errors.push({ field, reason: `must have at most ${rule.maxLength} items` });
+      return undefined;
+    }
+    return rule.items
+      ? items.map((item, i) => validateValue({ required: true, ...rule.items }, item, `${field}[${i}]`, errors))
+      : items;
+  }
+
+  if (rule.type === 'object') {
+    if (!isPlainObject(value)) {
+      errors.push({ field, reason: 'must be an object' });
+      return undefined;
+    }
+    if (rule.values) {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+        [key, validateValue({ required: true, ...rule.values }, item, `${field}.${key}`, errors)]
+      ));
+    }
+    return rule.fields ? validateFields(rule, value, `${field}.`, errors) : value;
+  }
+
+  const result = TYPES[rule.type](value, rule);
+  if (result.reason) {
+    errors.push({ field, reason: result.reason });
+    return undefined;
+  }
+  return result.value;
+}
+
+function validateFields({ fields, allowUnknown = false }, input, prefix, errors) {
+  const output = allowUnknown ? { ...input } : {};
+
+  if (!allowUnknown) {
+    for (const key of Object.keys(input)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, key)) errors.push({ field: `${prefix}${key}`, reason: 'is not allowed' });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = validateValue(rule, input[key], `${prefix}${key}`, errors);
+    if (value !== undefined) output[key] = value;
+    else delete output[key];
+  }
+  return output;
+}
+
+function validate(schema, input) {
+  if (input !== undefined && !isPlainObject(input)) {
+    return { errors: [{ field: '(body)', reason: 'must be a JSON object' }] };
+  }
+
+  const errors = [];
+  const value = validateFields(schema, input || {}, '', errors);
+  if (errors.length === 0 && schema.check) errors.push(...schema.check(value));
+  return errors.length > 0 ? { errors } : { value };
+}
+
+// Field errors from a Mongoose ValidationError, in the same shape as validate()
+function fromMongooseError(error) {
+  return Object.values(error.errors || {}).map(({ path, kind, message }) => ({
+    field: path,
+    reason: kind === 'required' ? 'is required' : message
+  }));
+}
+
+module.exports = {
+  EMAIL_PATTERN,
+  validate,
+  fromMongooseError
+};
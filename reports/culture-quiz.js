@@ -0,0 +1,50 @@
+const {
+  BRAND,
+  header,
+  sectionTitle,
+  keyValueRows,
+  paragraph,
+  callout,
+  footer
+} = require('./layout');
+
+// Culture quiz report for a saved CultureQuiz document.
+// `questions` is the question bank, used to print each question's text and chosen option.
+module.exports = {
+  title: () => 'Culture Quiz Report',
+
+  filename: (quiz) => `onethrive-culture-report-${quiz._id}.pdf`,
+
+  draw(doc, quiz, { questions = [] } = {}) {
+    const answers = quiz.answers instanceof Map ? Object.fromEntries(quiz.answers) : (quiz.answers || {});
+
+    header(doc, {
+      title: 'Culture Quiz Report',
+      subtitle: `Prepared ${new Date(quiz.submittedAt || quiz.createdAt || Date.now()).toDateString()}`
+    });
+
+    sectionTitle(doc, 'Your Culture Level');
+    paragraph(doc, quiz.cultureLevel.level, { color: BRAND.accent, size: 20, bold: true });
+    keyValueRows(doc, [
+      { label: 'Score', value: `${quiz.totalScore} points (${quiz.scorePercentage}%)` },
+      { label: 'Questions answered', value: `${quiz.answeredCount} of ${quiz.totalQuestions} (${quiz.completionRate}%)` }
+    ]);
+
+    sectionTitle(doc, 'What This Means');
+    for (const point of quiz.cultureLevel.description || []) {
+      paragraph(doc, point);
+    }
+    callout(doc, quiz.cultureLevel.cta.replace(/\*\*/g, ''));
+
+    sectionTitle(doc, 'Your Answers');
+    const questionsById = new Map(questions.map(question => [question.id, question]));
+    for (const [questionId, points] of Object.entries(answers)) {
+      const question = questionsById.get(questionId);
+      const option = question?.options.find(candidate => candidate.points === points);
+      paragraph(doc, `${questionId}. ${question ? question.text : `Question ${questionId}`}`, { bold: true, size: 10 });
+      paragraph(doc, `${option ? option.label : 'Answer'} — ${points} points`, { color: BRAND.muted, size: 10 });
+    }
+
+    footer(doc, `OneThrive · onethrive.in · Report ${quiz._id}`);
+  }
+};
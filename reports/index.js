@@ -0,0 +1,26 @@
+const { createDocument, renderToBuffer } = require('./layout');
+
+// ========================
+// PDF REPORTS
+// One module per report type, each exporting { title(data), filename(data), draw(doc, data, options) }.
+// generateReport(name, data, options) resolves to { filename, buffer }.
+// ========================
+
+const reports = {
+  roi: require('./roi'),
+  'culture-quiz': require('./culture-quiz')
+};
+
+async function generateReport(name, data, options = {}) {
+  const report = reports[name];
+  if (!report) throw new Error(`Unknown report "${name}"`);
+
+  const doc = createDocument({ title: report.title(data) });
+  const buffer = await renderToBuffer(doc, pdf => report.draw(pdf, data, options));
+
+  return { filename: report.filename(data), buffer };
+}
+
+module.exports = {
+  generateReport
+};
@@ -0,0 +1,140 @@
+const PDFDocument = require('pdfkit');
+
+// ========================
+// PDF REPORT LAYOUT
+// Shared branded building blocks for the downloadable reports. Uses pdfkit's
+// built-in Helvetica, so generation needs no external fonts or services.
+// ========================
+
+const BRAND = {
+  accent: '#00C98A',
+  dark: '#111111',
+  muted: '#666666',
+  light: '#F4F4F4',
+  loss: '#D64545',
+  gain: '#1E9E5A'
+};
+
+const PAGE_MARGIN = 50;
+
+function createDocument({ title }) {
+  return new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: title, Author: 'OneThrive' }
+  });
+}
+
+// Collects the PDF stream into a single Buffer
+function renderToBuffer(doc, draw) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function header(doc, { title, subtitle }) {
+  const width = doc.page.width;
+
+  doc.rect(0, 0, width, 90).fill(BRAND.dark);
+  doc.fillColor(BRAND.accent).font('Helvetica-Bold').fontSize(22).text('OneThrive', PAGE_MARGIN, 28);
+  doc.fillColor('#FFFFFF').font('Helvetica').fontSize(11).text(title, PAGE_MARGIN, 56);
+
+  doc.fillColor(BRAND.dark);
+  doc.y = 110;
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND.muted).text(subtitle, PAGE_MARGIN);
+    doc.moveDown();
+  }
+}
+
+function sectionTitle(doc, text) {
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(BRAND.dark).text(text, PAGE_MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(1).strokeColor(BRAND.accent).stroke();
+  doc.moveDown(0.6);
+}
+
+// Two-column label/value rows; `color` optionally highlights the value
+function keyValueRows(doc, rows) {
+  const labelWidth = 250;
+  const valueX = PAGE_MARGIN + labelWidth;
+  const valueWidth = doc.page.width - PAGE_MARGIN - valueX;
+
+  for (const { label, value, color, bold } of rows) {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(11).fillColor(BRAND.muted).text(label, PAGE_MARGIN, y, { width: labelWidth });
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor(color || BRAND.dark)
+      .text(String(value), valueX, y, { width: valueWidth });
+    doc.moveDown(0.35);
+  }
+  doc.fillColor(BRAND.dark);
+}
+
+// Horizontal bars scaled to the largest value
+function barChart(doc, bars) {
+  const maxValue = Math.max(...bars.map(bar => bar.value), 1);
+  const labelWidth = 150;
+  const chartWidth = doc.page.width - PAGE_MARGIN * 2 - labelWidth - 90;
+
+  for (const { label, value, display, color } of bars) {
+    const y = doc.y;
+    const barWidth = Math.max(2, (value / maxValue) * chartWidth);
+
+    doc.font('Helvetica').fontSize(10).fillColor(BRAND.muted).text(label, PAGE_MARGIN, y + 2, { width: labelWidth });
+    doc.rect(PAGE_MARGIN + labelWidth, y, barWidth, 14).fill(color || BRAND.accent);
+    doc.fillColor(BRAND.dark).text(display, PAGE_MARGIN + labelWidth + barWidth + 6, y + 2);
+    doc.y = y + 22;
+  }
+  doc.x = PAGE_MARGIN;
+}
+
+function paragraph(doc, text, { color, size = 11, bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color || BRAND.dark)
+    .text(text, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.moveDown(0.4);
+}
+
+function callout(doc, text) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const height = doc.heightOfString(text, { width: width - 24 }) + 20;
+  const y = doc.y;
+
+  doc.rect(PAGE_MARGIN, y, width, height).fill(BRAND.light);
+  doc.rect(PAGE_MARGIN, y, 4, height).fill(BRAND.accent);
+  doc.font('Helvetica').fontSize(11).fillColor(BRAND.dark).text(text, PAGE_MARGIN + 14, y + 10, { width: width - 24 });
+  doc.y = y + height + 10;
+  doc.x = PAGE_MARGIN;
+}
+
+// Drawn inside the bottom margin, so drop the margin while writing to avoid a page break
+function footer(doc, text) {
+  const bottomMargin = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  doc.font('Helvetica').fontSize(8).fillColor(BRAND.muted)
+    .text(text, PAGE_MARGIN, doc.page.height - 35, { width: doc.page.width - PAGE_MARGIN * 2, align: 'center', lineBreak: false });
+  doc.page.margins.bottom = bottomMargin;
+}
+
+module.exports = {
+  BRAND,
+  createDocument,
+  renderToBuffer,
+  header,
+  sectionTitle,
+  keyValueRows,
+  barChart,
+  paragraph,
+  callout,
+  footer
+};
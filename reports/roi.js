@@ -0,0 +1,71 @@
+const { formatCurrency } = require('../helpers/format');
+const {
+  BRAND,
+  header,
+  sectionTitle,
+  keyValueRows,
+  barChart,
+  paragraph,
+  callout,
+  footer
+} = require('./layout');
+
+// ROI report for a saved ROICalculator document
+module.exports = {
+  title: () => 'ROI Report — The Hidden Cost of Disengagement',
+
+  filename: (calculation) => `onethrive-roi-report-${calculation._id}.pdf`,
+
+  draw(doc, calculation) {
+    const currency = calculation.currency || 'INR';
+    const locale = calculation.locale || 'en-IN';
+    const money = value => formatCurrency(value, currency, locale, { currencyDisplay: 'code' });
+    const results = calculation.calculatedResults;
+
+    header(doc, {
+      title: 'ROI Report — The Hidden Cost of Disengagement',
+      subtitle: `Prepared ${new Date(calculation.submittedAt || calculation.createdAt || Date.now()).toDateString()} · Figures in ${currency}`
+    });
+
+    sectionTitle(doc, 'Your Inputs');
+    keyValueRows(doc, [
+      { label: 'Total employees', value: calculation.numEmployees },
+      { label: 'Average annual salary', value: money(calculation.avgAnnualSalary) },
+      { label: 'Annual revenue', value: money(calculation.annualRevenue) },
+      { label: 'Employees who left (last 12 months)', value: calculation.employeesWhoLeft },
+      { label: 'Extra absenteeism days per employee', value: calculation.avgExtraAbsenteeismDaysPerEmployee },
+      { label: 'Engagement score', value: `${calculation.engagementScore}/10` }
+    ]);
+
+    sectionTitle(doc, 'Hidden-Loss Breakdown');
+    barChart(doc, [
+      { label: 'Turnover', value: results.totalTurnoverCost, display: money(results.totalTurnoverCost), color: BRAND.loss },
+      { label: 'Disengagement', value: results.totalDisengagementCost, display: money(results.totalDisengagementCost), color: BRAND.loss },
+      { label: '  of which absenteeism', value: results.totalAbsenteeismCost, display: money(results.totalAbsenteeismCost), color: '#E89B9B' }
+    ]);
+    keyValueRows(doc, [
+      { label: 'Total hidden loss per year', value: money(results.totalHiddenLoss), color: BRAND.loss, bold: true }
+    ]);
+
+    sectionTitle(doc, 'What Better Engagement Could Unlock');
+    keyValueRows(doc, [
+      {
+        label: 'Potential savings',
+        value: `${money(results.potentialSavingsMin)} – ${money(results.potentialSavingsMax)}`,
+        color: BRAND.gain,
+        bold: true
+      },
+      {
+        label: 'Potential revenue increase',
+        value: `${money(results.potentialRevenueIncreaseMin)} – ${money(results.potentialRevenueIncreaseMax)}`,
+        color: BRAND.gain,
+        bold: true
+      }
+    ]);
+    paragraph(doc, 'Savings ranges assume your engagement score improves by 1 to 2 points.', { color: BRAND.muted, size: 9 });
+
+    callout(doc, 'Ready to turn these numbers around? Reply to your results email or write to info@onethrive.in to plan your engagement programme.');
+
+    footer(doc, `OneThrive · onethrive.in · ROI model v${calculation.modelVersion || 1} · Report ${calculation._id}`);
+  }
+};
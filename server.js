@@ -4,6 +4,7 @@ const cors = require('cors');
 const nodemailer = require('nodemailer');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { EMAIL_PATTERN } = require('./helpers/validation');
 require('dotenv').config();
 
 const app = express();
@@ -58,7 +59,7 @@ const contactSchema = new mongoose.Schema({
     required: true,
     trim: true,
     lowercase: true,
-    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    match: [EMAIL_PATTERN, 'Please enter a valid email']
   },
   phoneNumber: { type: String, trim: true, maxlength: 20 },
   companyName: { type: String, trim: true, maxlength: 100 },
@@ -181,36 +182,6 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-// Get all contacts
-app.get('/api/contacts', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const contacts = await Contact.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v');
-
-    const total = await Contact.countDocuments();
-
-    res.status(200).json({
-      contacts,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    console.error('Error fetching contacts:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
 // Root endpoint
 app.get('/', (req, res) => {
   res.status(200).json({
@@ -218,8 +189,7 @@ app.get('/', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       health: '/api/health',
-      contact: '/api/contact (POST)',
-      contacts: '/api/contacts (GET)'
+      contact: '/api/contact (POST)'
     }
   });
 });
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCultureQuizConfig } = require('../helpers/culture-quiz');
+
+const OPTIONS = [{ label: 'Rarely', points: 2 }, { label: 'Always', points: 14 }];
+
+function config(overrides = {}) {
+  return JSON.stringify({
+    questions: [{ id: 1, text: 'Q1', options: OPTIONS }, { id: 'q2', text: 'Q2', options: OPTIONS }],
+    levels: [
+      { level: 'DORMANT SEED', minPercentage: 0, cta: 'Talk to us' },
+      { level: 'THRIVING ECOSYSTEM', minPercentage: 80, cta: 'Keep going' }
+    ],
+    ...overrides
+  });
+}
+
+test('a valid config is normalised: string ids, levels highest first', () => {
+  const { questions, levels } = parseCultureQuizConfig(config());
+  assert.deepEqual(questions.map(question => question.id), ['1', 'q2']);
+  assert.deepEqual(levels.map(level => level.minPercentage), [80, 0]);
+});
+
+test('a missing or unparseable config is refused', () => {
+  assert.throws(() => parseCultureQuizConfig(undefined), /CULTURE_QUIZ_CONFIG is not set/);
+  assert.throws(() => parseCultureQuizConfig(''), /CULTURE_QUIZ_CONFIG is not set/);
+  assert.throws(() => parseCultureQuizConfig('{questions:'), /not valid JSON/);
+  assert.throws(() => parseCultureQuizConfig('[]'), /must be a JSON object/);
+});
+
+test('a config with the wrong shape is refused with the offending path', () => {
+  assert.throws(() => parseCultureQuizConfig(config({ questions: [] })), /questions must be a non-empty array/);
+  assert.throws(() => parseCultureQuizConfig(config({ levels: undefined })), /levels must be a non-empty array/);
+  assert.throws(
+    () => parseCultureQuizConfig(config({ questions: [{ id: 'a', options: OPTIONS }, { id: 'a', options: OPTIONS }] })),
+    /questions\[1\]\.id "a" is used twice/
+  );
+  assert.throws(
+    () => parseCultureQuizConfig(config({ questions: [{ id: 'a', options: [{ label: 'x', points: '2' }] }] })),
+    /questions\[0\]\.options\[0\]\.points must be a number/
+  );
+  assert.throws(
+    () => parseCultureQuizConfig(config({ levels: [{ level: 'X', minPercentage: 0 }] })),
+    /levels\[0\] needs a level name, a cta and a numeric minPercentage/
+  );
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { html, raw, escapeHtml, htmlToText } = require('../emails/html');
+const { renderEmail } = require('../emails');
+
+test('escapeHtml escapes markup and quote characters', () => {
+  assert.equal(escapeHtml(`<a href="x" onclick='y'>&</a>`), '&lt;a href=&quot;x&quot; onclick=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('html`` escapes interpolated values, including array items', () => {
+  const name = '<script>alert(1)</script>';
+  assert.equal(html`<p>${name}</p>`.value, '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.equal(html`<ul>${['<b>', 'ok'].map(item => html`<li>${item}</li>`)}</ul>`.value, '<ul><li>&lt;b&gt;</li><li>ok</li></ul>');
+});
+
+test('html`` keeps nested html`` and raw() markup as is', () => {
+  const inner = html`<strong>${'A & B'}</strong>`;
+  assert.equal(html`<p>${inner}${raw('<br>')}</p>`.value, '<p><strong>A &amp; B</strong><br></p>');
+});
+
+test('htmlToText drops markup and decodes entities', () => {
+  const text = htmlToText('<h2>Hi</h2><p>Tom &amp; Jerry &lt;3</p><a href="https://x.test">link</a>');
+  assert.equal(text, 'Hi\nTom & Jerry <3\nlink (https://x.test)');
+});
+
+test('renderEmail escapes submitted fields in the body and strips line breaks from the subject', () => {
+  const email = renderEmail('contact', {
+    fullName: 'Eve\r\nBcc: victim@example.com',
+    workEmail: 'eve@example.com',
+    message: '<img src=x onerror=alert(1)>',
+    activityType: [],
+    ipAddress: '203.0.113.9'
+  });
+
+  assert.doesNotMatch(email.subject, /[\r\n]/);
+  assert.match(email.subject, /Eve Bcc: victim@example\.com$/);
+  assert.doesNotMatch(email.html, /<img/);
+  assert.match(email.html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(email.text, /<img src=x onerror=alert\(1\)>/);
+});
+
+test('the contact acknowledgement does not echo anything the submitter wrote', () => {
+  const email = renderEmail('contact-acknowledgement', {
+    fullName: 'Visit evil.example now',
+    companyName: 'Evil Corp',
+    message: 'Click https://evil.example'
+  });
+
+  for (const part of [email.subject, email.html, email.text]) {
+    assert.doesNotMatch(part, /evil/i);
+  }
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsvCell } = require('../exporters');
+
+test('toCsvCell prefixes text that spreadsheet apps would run as a formula', () => {
+  for (const value of ['=HYPERLINK("http://evil.example")', '+1+1', '-2+3', '@SUM(A1)', '\t=1', '\r=1']) {
+    assert.equal(toCsvCell(value).replace(/^"/, '').charAt(0), "'", `${JSON.stringify(value)} was not neutralised`);
+  }
+});
+
+test('toCsvCell leaves numbers alone, even negative ones', () => {
+  assert.equal(toCsvCell(-5), '-5');
+  assert.equal(toCsvCell(1500.5), '1500.5');
+  assert.equal(toCsvCell(true), 'true');
+});
+
+test('toCsvCell quotes separators, quotes and line breaks', () => {
+  assert.equal(toCsvCell('a,b'), '"a,b"');
+  assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(toCsvCell('line\nbreak'), '"line\nbreak"');
+  assert.equal(toCsvCell('=1,2'), `"'=1,2"`);
+});
+
+test('toCsvCell writes empty values as empty cells and dates as ISO strings', () => {
+  assert.equal(toCsvCell(null), '');
+  assert.equal(toCsvCell(undefined), '');
+  assert.equal(toCsvCell(new Date('2024-01-02T03:04:05Z')), '2024-01-02T03:04:05.000Z');
+});
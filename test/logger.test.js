@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLogger, withLogContext, redact } = require('../helpers/logger');
+
+// Runs `fn` and returns the JSON lines it logged
+function capture(fn) {
+  const lines = [];
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const record = stream => chunk => {
+    lines.push({ stream, ...JSON.parse(chunk) });
+    return true;
+  };
+  process.stdout.write = record('stdout');
+  process.stderr.write = record('stderr');
+  try {
+    fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+  return lines;
+}
+
+test('email addresses keep their domain only', () => {
+  assert.equal(redact('from jane.doe+offsite@acme.co.uk today'), 'from ***@acme.co.uk today');
+  assert.equal(redact('a@b.io,c@d.io'), '***@b.io,***@d.io');
+});
+
+test('phone numbers with 10 to 15 digits are redacted, shorter numbers are kept', () => {
+  assert.equal(redact('call +91 98765 43210'), 'call [phone]');
+  assert.equal(redact('call 555-123-4567'), 'call [phone]');
+  assert.equal(redact('order 12345 on 2024-01-15'), 'order 12345 on 2024-01-15');
+  assert.equal(redact('took 1500ms'), 'took 1500ms');
+});
+
+test('IPv4, IPv6 and IPv4-mapped addresses are redacted', () => {
+  assert.equal(redact('from 203.0.113.9'), 'from [ip]');
+  assert.equal(redact('from 2001:db8::1 and ::ffff:10.0.0.1'), 'from [ip] and [ip]');
+  assert.equal(redact('version 1.2.3'), 'version 1.2.3');
+});
+
+test('values under sensitive keys are dropped at any depth, whatever the key case', () => {
+  assert.deepEqual(redact({
+    fullName: 'Jane Doe',
+    Authorization: 'Bearer abc',
+    body: { phoneNumber: '12', nested: { SECRET: 'x', 'X-API-Key': 'k' }, company: 'Acme' },
+    list: [{ token: 't' }]
+  }), {
+    fullName: '[redacted]',
+    Authorization: '[redacted]',
+    body: { phoneNumber: '[redacted]', nested: { SECRET: '[redacted]', 'X-API-Key': '[redacted]' }, company: 'Acme' },
+    list: [{ token: '[redacted]' }]
+  });
+});
+
+test('errors are serialized with their message and stack redacted', () => {
+  const error = Object.assign(new Error('duplicate key: jane@acme.com'), { code: 11000 });
+  const serialized = redact({ err: error }).err;
+
+  assert.equal(serialized.name, 'Error');
+  assert.equal(serialized.message, 'duplicate key: ***@acme.com');
+  assert.equal(serialized.code, 11000);
+  assert.doesNotMatch(serialized.stack, /jane@/);
+});
+
+test('log lines are JSON with the message, fields and request context redacted', () => {
+  const logger = createLogger({ level: 'info', format: 'json' });
+  const lines = capture(() => {
+    withLogContext({ requestId: 'req-1' }, () => {
+      logger.info('Contact from jane@acme.com', { ipAddress: '203.0.113.9', note: 'ring 9876543210' });
+      logger.error('Error saving lead:', new Error('boom for 198.51.100.7'));
+    });
+  });
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual(
+    { ...lines[0], time: undefined },
+    { stream: 'stdout', time: undefined, level: 'info', msg: 'Contact from ***@acme.com', requestId: 'req-1', ipAddress: '[redacted]', note: 'ring [phone]' }
+  );
+  assert.equal(lines[1].stream, 'stderr');
+  assert.equal(lines[1].msg, 'Error saving lead');
+  assert.equal(lines[1].err.message, 'boom for [ip]');
+});
+
+test('lines below the configured level are dropped', () => {
+  const logger = createLogger({ level: 'warn', format: 'json' });
+  const lines = capture(() => {
+    logger.info('quiet');
+    logger.warn('loud');
+  });
+  assert.deepEqual(lines.map(({ msg }) => msg), ['loud']);
+});
+
+test('redaction stays fast on long hostile strings', () => {
+  const inputs = [
+    `${'a'.repeat(50000)}@`,
+    `${'a.'.repeat(25000)}@x`,
+    `${'1 '.repeat(25000)}`,
+    `${'1:'.repeat(25000)}`,
+    `${'1.'.repeat(25000)}`
+  ];
+  const started = process.hrtime.bigint();
+  for (const input of inputs) redact(input);
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.ok(elapsedMs < 500, `took ${elapsedMs.toFixed(0)}ms`);
+});
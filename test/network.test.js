@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { isPublicAddress, isLocalHostname, lookupPublicAddress } = require('../helpers/network');
+
+function lookup(hostname, options) {
+  return new Promise((resolve, reject) => {
+    lookupPublicAddress(hostname, options, (error, address, family) => (error ? reject(error) : resolve({ address, family })));
+  });
+}
+
+test('public IPv4 and IPv6 addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '[2001:4860:4860::8888]']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+});
+
+test('loopback, private, link-local and other special-purpose addresses are refused', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fe80::1', 'fd00::1', 'ff02::1', '64:ff9b::a00:1'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('IPv4-mapped IPv6 addresses are judged by the IPv4 address', () => {
+  assert.equal(isPublicAddress('::ffff:8.8.8.8'), true);
+  assert.equal(isPublicAddress('::ffff:127.0.0.1'), false);
+  assert.equal(isPublicAddress('::ffff:7f00:1'), false);
+});
+
+test('anything that is not an IP address is not public', () => {
+  for (const value of ['example.com', '', undefined, '999.1.1.1']) {
+    assert.equal(isPublicAddress(value), false, String(value));
+  }
+});
+
+test('local hostnames are recognised regardless of case and a trailing dot', () => {
+  for (const host of ['localhost', 'LOCALHOST.', 'api.localhost', 'printer.local', 'metadata.google.internal']) {
+    assert.equal(isLocalHostname(host), true, host);
+  }
+  for (const host of ['example.com', 'localhost.example.com', 'internal.example']) {
+    assert.equal(isLocalHostname(host), false, host);
+  }
+});
+
+test('lookupPublicAddress passes public addresses through in both callback forms', async () => {
+  assert.deepEqual(await lookup('8.8.8.8', {}), { address: '8.8.8.8', family: 4 });
+  assert.deepEqual(await lookup('8.8.8.8', { all: true }), { address: [{ address: '8.8.8.8', family: 4 }], family: undefined });
+});
+
+test('lookupPublicAddress refuses hostnames that resolve to a non-public address', async () => {
+  await assert.rejects(lookup('localhost', {}), { code: 'ENOTPUBLIC' });
+  await assert.rejects(lookup('localhost', { all: true }), { code: 'ENOTPUBLIC' });
+});
+
+test('a request using lookupPublicAddress never connects to a local server', async t => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const { port } = server.address();
+  const error = await new Promise(resolve => {
+    http.get({ hostname: 'localhost', port, lookup: lookupPublicAddress }, () => resolve(null)).on('error', resolve);
+  });
+
+  assert.equal(error && error.code, 'ENOTPUBLIC');
+  assert.equal(hits, 0);
+});
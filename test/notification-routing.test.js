@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ruleMatches, routeNotification } = require('../helpers/notification-routing');
+
+const DEFAULTS = ['info@onethrive.in'];
+
+const rule = (name, conditions, recipients, stopProcessing = true) => ({ name, conditions, recipients, stopProcessing });
+
+test('a rule without conditions matches everything', () => {
+  assert.equal(ruleMatches({}, { formType: 'contact' }), true);
+  assert.equal(ruleMatches({ conditions: {} }, { formType: 'cultureQuiz' }), true);
+});
+
+test('list conditions need one of their values to match', () => {
+  const conditions = { formTypes: ['contact'], activityTypes: ['offsite-retreats', 'team-building'] };
+  assert.equal(ruleMatches({ conditions }, { formType: 'contact', activityType: ['wellness-programs', 'team-building'] }), true);
+  assert.equal(ruleMatches({ conditions }, { formType: 'contact', activityType: ['wellness-programs'] }), false);
+  assert.equal(ruleMatches({ conditions }, { formType: 'roiCalculator', activityType: ['team-building'] }), false);
+  assert.equal(ruleMatches({ conditions: { cultureLevels: ['DORMANT SEED'] } }, { cultureLevel: 'DORMANT SEED' }), true);
+  assert.equal(ruleMatches({ conditions: { cultureLevels: ['DORMANT SEED'] } }, {}), false);
+});
+
+test('company size bounds are inclusive and need a known size', () => {
+  const conditions = { minCompanySize: 50, maxCompanySize: 200 };
+  assert.equal(ruleMatches({ conditions }, { companySize: 50 }), true);
+  assert.equal(ruleMatches({ conditions }, { companySize: 200 }), true);
+  assert.equal(ruleMatches({ conditions }, { companySize: 49 }), false);
+  assert.equal(ruleMatches({ conditions }, { companySize: 201 }), false);
+  assert.equal(ruleMatches({ conditions }, {}), false);
+  assert.equal(ruleMatches({ conditions: { minCompanySize: 0 } }, { companySize: 0 }), true);
+});
+
+test('the first matching rule wins when it stops processing', () => {
+  const rules = [
+    rule('Offsites', { activityTypes: ['offsite-retreats'] }, ['events@onethrive.in']),
+    rule('Everything', {}, ['sales@onethrive.in'])
+  ];
+  assert.deepEqual(routeNotification(rules, { formType: 'contact', activityType: ['offsite-retreats'] }, DEFAULTS), {
+    recipients: ['events@onethrive.in'],
+    matchedRules: ['Offsites']
+  });
+  assert.deepEqual(routeNotification(rules, { formType: 'contact', activityType: [] }, DEFAULTS), {
+    recipients: ['sales@onethrive.in'],
+    matchedRules: ['Everything']
+  });
+});
+
+test('rules that keep processing add their recipients without duplicates', () => {
+  const rules = [
+    rule('Enterprise', { minCompanySize: 1000 }, ['ceo@onethrive.in', 'sales@onethrive.in'], false),
+    rule('Sales', {}, ['sales@onethrive.in'])
+  ];
+  assert.deepEqual(routeNotification(rules, { companySize: 5000 }, DEFAULTS), {
+    recipients: ['ceo@onethrive.in', 'sales@onethrive.in'],
+    matchedRules: ['Enterprise', 'Sales']
+  });
+});
+
+test('the default recipients are used when nothing matches', () => {
+  const rules = [rule('Quiz', { formTypes: ['cultureQuiz'] }, ['culture@onethrive.in'])];
+  assert.deepEqual(routeNotification(rules, { formType: 'contact' }, DEFAULTS), { recipients: DEFAULTS, matchedRules: [] });
+  assert.deepEqual(routeNotification([], { formType: 'contact' }, DEFAULTS), { recipients: DEFAULTS, matchedRules: [] });
+});
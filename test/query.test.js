@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listParam, buildListFilter, buildListQuery, paginate } = require('../helpers/query');
+
+const SPEC = {
+  search: ['fullName', 'workEmail'],
+  text: { email: 'workEmail' },
+  match: { tier: { field: 'scoring.tier' }, version: { field: 'modelVersion', cast: Number } },
+  ranges: { numEmployees: 'numEmployees' },
+  sort: {
+    createdAt: { field: 'createdAt', type: 'date' },
+    score: { field: 'scoring.score', type: 'number' },
+    fullName: { field: 'fullName', type: 'string' }
+  }
+};
+
+// ---- A tiny evaluator for the subset of Mongo the list queries produce ----
+// Comparison follows Mongo: null and missing fields sort before any value and
+// never satisfy $lt/$gt; equality with null matches missing fields.
+
+const getPath = (doc, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+function compareValues(a, b) {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  a = comparable(a);
+  b = comparable(b);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesCondition(value, condition) {
+  if (condition === null) return value == null;
+  if (condition instanceof Date || typeof condition !== 'object') return value != null && compareValues(value, condition) === 0;
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$ne': return operand === null ? value != null : compareValues(value, operand) !== 0;
+      case '$lt': return value != null && compareValues(value, operand) < 0;
+      case '$gt': return value != null && compareValues(value, operand) > 0;
+      case '$lte': return value != null && compareValues(value, operand) <= 0;
+      case '$gte': return value != null && compareValues(value, operand) >= 0;
+      case '$in': return operand.some(item => matchesCondition(value, item));
+      case '$regex': return new RegExp(operand, condition.$options).test(value);
+      case '$options': return true;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function find(docs, { pageFilter, sort, skip, limit }) {
+  const order = Object.entries(sort);
+  return docs
+    .filter(doc => matches(doc, pageFilter))
+    .sort((a, b) => {
+      for (const [field, direction] of order) {
+        const result = compareValues(getPath(a, field), getPath(b, field));
+        if (result !== 0) return result * direction;
+      }
+      return 0;
+    })
+    .slice(skip, skip + limit + 1);
+}
+
+// Follows nextCursor until the last page; returns the ids in the order served
+function readAllPages(docs, query) {
+  const ids = [];
+  let cursor;
+  for (let pages = 0; pages < 100; pages++) {
+    const listQuery = buildListQuery(SPEC, { ...query, ...(cursor && { cursor }) });
+    assert.equal(listQuery.error, undefined);
+    const { items, pagination } = paginate(find(docs, listQuery), listQuery);
+    ids.push(...items.map(doc => doc._id));
+    if (!pagination.nextCursor) return ids;
+    cursor = pagination.nextCursor;
+  }
+  throw new Error('pagination did not finish');
+}
+
+const id = n => n.toString(16).padStart(24, '0');
+
+// Ties, nulls and missing values on every sort field
+const DOCS = [
+  { _id: id(1), createdAt: new Date('2024-01-03'), fullName: 'Cara', scoring: { score: 50 } },
+  { _id: id(2), createdAt: new Date('2024-01-01'), fullName: 'Abe', scoring: { score: 80 } },
+  { _id: id(3), createdAt: new Date('2024-01-02'), fullName: 'Bo', scoring: null },
+  { _id: id(4), createdAt: new Date('2024-01-02'), fullName: 'Abe' },
+  { _id: id(5), createdAt: new Date('2024-01-05'), fullName: null, scoring: { score: 50 } },
+  { _id: id(6), createdAt: new Date('2024-01-04'), scoring: { score: 20 } },
+  { _id: id(7), createdAt: new Date('2024-01-02'), fullName: 'Dee', scoring: { score: 80 } }
+];
+
+for (const sort of ['createdAt', '-createdAt', 'score', '-score', 'fullName', '-fullName']) {
+  test(`cursor pages sorted by ${sort} match the full sort, without gaps or repeats`, () => {
+    const all = find(DOCS, { ...buildListQuery(SPEC, { sort, limit: 100 }), limit: DOCS.length })
+      .map(doc => doc._id);
+
+    for (const limit of [1, 2, 3]) {
+      assert.deepEqual(readAllPages(DOCS, { sort, limit }), all, `limit ${limit}`);
+    }
+  });
+}
+
+test('null sort values sort first ascending and last descending', () => {
+  const ascending = readAllPages(DOCS, { sort: 'score', limit: 2 });
+  const descending = readAllPages(DOCS, { sort: '-score', limit: 2 });
+  assert.deepEqual(ascending.slice(0, 2), [id(3), id(4)]);
+  assert.deepEqual(descending.slice(-2), [id(4), id(3)]);
+});
+
+test('cursor pages respect the list filter', () => {
+  const ids = readAllPages(DOCS, { sort: '-createdAt', limit: 1, q: 'abe' });
+  assert.deepEqual(ids, [id(4), id(2)]);
+});
+
+test('malformed or mismatched cursors are rejected', () => {
+  const { pagination } = paginate(DOCS, buildListQuery(SPEC, { sort: 'score', limit: 1 }));
+  const encode = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+  for (const [sort, cursor] of [
+    ['score', 'not-a-cursor'],
+    ['score', Buffer.from('{"s":').toString('base64url')],
+    ['score', encode(null)],
+    ['score', encode({ s: 'score', v: 50, id: 'not-an-object-id' })],
+    ['score', encode({ s: 'score', v: '50', id: id(1) })],
+    ['createdAt', encode({ s: 'createdAt', v: 'yesterday', id: id(1) })],
+    ['fullName', encode({ s: 'fullName', v: 5, id: id(1) })]
+  ]) {
+    assert.deepEqual(buildListQuery(SPEC, { sort, cursor }), { error: 'Invalid cursor for this sort order' }, cursor);
+  }
+
+  // A cursor only works with the sort it was issued for
+  assert.deepEqual(
+    buildListQuery(SPEC, { sort: '-score', cursor: pagination.nextCursor }),
+    { error: 'Invalid cursor for this sort order' }
+  );
+});
+
+test('offset pages count the total; cursor pages only when asked', () => {
+  const offset = buildListQuery(SPEC, { page: '3', limit: '5' });
+  assert.equal(offset.skip, 10);
+  assert.equal(offset.withTotal, true);
+
+  const { pagination } = paginate(DOCS, buildListQuery(SPEC, { limit: 2 }), DOCS.length);
+  assert.equal(pagination.total, DOCS.length);
+  assert.equal(pagination.pages, 4);
+
+  const cursorQuery = buildListQuery(SPEC, { cursor: pagination.nextCursor, limit: 2 });
+  assert.equal(cursorQuery.withTotal, false);
+  assert.equal(buildListQuery(SPEC, { cursor: pagination.nextCursor, includeTotal: 'true' }).withTotal, true);
+
+  const cursorPage = paginate(DOCS.slice(0, 2), cursorQuery).pagination;
+  assert.equal('total' in cursorPage, false);
+  assert.equal('page' in cursorPage, false);
+});
+
+test('sort and limit are validated and clamped', () => {
+  assert.match(buildListQuery(SPEC, { sort: 'password' }).error, /^Invalid sort/);
+  assert.equal(buildListQuery(SPEC, { limit: '1000' }).limit, 100);
+  assert.equal(buildListQuery(SPEC, { limit: '-5' }).limit, 1);
+  assert.deepEqual(buildListQuery(SPEC, {}).sort, { createdAt: -1, _id: -1 });
+});
+
+test('list filters combine dates, search, text, exact matches and ranges', () => {
+  const { filter } = buildListFilter(SPEC, {
+    from: '2024-01-01',
+    to: '2024-01-31',
+    q: 'a.b',
+    tier: 'hot,warm',
+    version: '2',
+    minNumEmployees: '10'
+  });
+
+  assert.equal(filter.$and.length, 5);
+  assert.deepEqual(filter.$and[0].createdAt.$lte, new Date('2024-01-31T23:59:59.999Z'));
+  assert.deepEqual(filter.$and[1].$or[0].fullName, { $regex: 'a\\.b', $options: 'i' });
+  assert.deepEqual(filter.$and[2], { 'scoring.tier': { $in: ['hot', 'warm'] } });
+  assert.deepEqual(filter.$and[3], { modelVersion: 2 });
+  assert.deepEqual(filter.$and[4], { numEmployees: { $gte: 10 } });
+
+  assert.deepEqual(buildListFilter(SPEC, { from: 'soon' }), { error: 'Invalid "from" date' });
+  assert.deepEqual(buildListFilter(SPEC, { version: 'x' }), { error: 'Invalid "version" value' });
+  assert.deepEqual(buildListFilter(SPEC, { maxNumEmployees: 'many' }), { error: '"maxNumEmployees" must be a number' });
+  assert.deepEqual(listParam(['a, b', 'c']), ['a', 'b', 'c']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_LEAD_SCORING, mergeScoringConfig, scoreLead, parseParticipants } = require('../helpers/scoring');
+
+const points = ({ breakdown }) => Object.fromEntries(breakdown.map(({ signal, points }) => [signal, points]));
+
+test('numeric signals score the first band whose minimum is met', () => {
+  assert.deepEqual(points(scoreLead({ numEmployees: 1000 })), { numEmployees: 20 });
+  assert.deepEqual(points(scoreLead({ numEmployees: 999 })), { numEmployees: 14 });
+  assert.deepEqual(points(scoreLead({ numEmployees: '50' })), { numEmployees: 8 });
+  assert.deepEqual(points(scoreLead({ numEmployees: 9 })), {});
+  assert.deepEqual(points(scoreLead({ numEmployees: 'lots' })), {});
+});
+
+test('categorical signals add up per value and respect their cap', () => {
+  assert.deepEqual(points(scoreLead({ cultureLevel: 'DORMANT SEED' })), { cultureLevel: 20 });
+  assert.deepEqual(points(scoreLead({ activityType: ['team-building', 'creative-workshops'] })), { activityType: 7 });
+  assert.deepEqual(points(scoreLead({ activityType: ['offsite-retreats', 'team-building', 'wellness-programs'] })), { activityType: 10 });
+  assert.deepEqual(points(scoreLead({ activityType: ['unknown'] })), {});
+});
+
+test('missing and empty signals score nothing; unknown signals are ignored', () => {
+  const result = scoreLead({ numEmployees: null, annualRevenue: '', participants: undefined, favouriteColour: 'blue' });
+  assert.deepEqual(result.breakdown, []);
+  assert.equal(result.score, 0);
+  assert.equal(result.tier, 'cold');
+  assert.ok(result.scoredAt instanceof Date);
+});
+
+test('the score picks a tier and is capped at 100', () => {
+  assert.equal(scoreLead({ numEmployees: 300, cultureLevel: 'GROWING GARDEN', activityType: ['team-building'] }).tier, 'warm');
+  const hot = scoreLead({ numEmployees: 300, annualRevenue: 2e9, cultureLevel: 'DORMANT SEED', participants: 60 });
+  assert.equal(hot.score, 54);
+  assert.equal(hot.tier, 'hot');
+
+  const config = mergeScoringConfig(DEFAULT_LEAD_SCORING, { signals: { numEmployees: { bands: [{ min: 0, points: 150 }] } } });
+  assert.equal(scoreLead({ numEmployees: 1 }, config).score, 100);
+});
+
+test('overrides replace whole signals and tiers and are sorted highest first', () => {
+  const config = mergeScoringConfig(DEFAULT_LEAD_SCORING, {
+    signals: { participants: { bands: [{ min: 10, points: 1 }, { min: 100, points: 30 }] } },
+    tiers: [{ tier: 'cold', min: 0 }, { tier: 'hot', min: 30 }]
+  });
+
+  assert.deepEqual(config.signals.participants.bands.map(({ min }) => min), [100, 10]);
+  assert.deepEqual(config.tiers.map(({ tier }) => tier), ['hot', 'cold']);
+  assert.deepEqual(config.signals.numEmployees, DEFAULT_LEAD_SCORING.signals.numEmployees);
+  assert.equal(scoreLead({ participants: 150 }, config).tier, 'hot');
+});
+
+test('invalid tier overrides are refused', () => {
+  assert.throws(() => mergeScoringConfig(DEFAULT_LEAD_SCORING, { tiers: [{ tier: 'hot' }] }), /tiers must be a list/);
+  assert.throws(() => mergeScoringConfig(DEFAULT_LEAD_SCORING, { tiers: [null] }), /tiers must be a list/);
+});
+
+test('participants take the first number in free text', () => {
+  assert.equal(parseParticipants('50-100'), 50);
+  assert.equal(parseParticipants('around 1,200 people'), 1200);
+  assert.equal(parseParticipants(75), 75);
+  assert.equal(parseParticipants('not sure'), undefined);
+  assert.equal(parseParticipants(undefined), undefined);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createShutdownCoordinator } = require('../helpers/shutdown');
+
+function createLogger() {
+  const lines = [];
+  const log = level => (...args) => lines.push({ level, msg: args.map(String).join(' ') });
+  return { lines, info: log('info'), warn: log('warn'), error: log('error') };
+}
+
+// A coordinator whose exit() records the code instead of ending the test run
+function createCoordinator(options = {}) {
+  const logger = createLogger();
+  const exits = [];
+  const shutdown = createShutdownCoordinator({ logger, timeoutMs: 2000, exit: code => exits.push(code), ...options });
+  return { shutdown, logger, exits };
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('waits for in-flight requests and turns new ones away while draining', async t => {
+  const { shutdown, exits } = createCoordinator();
+  const release = deferred();
+  const started = deferred();
+
+  const app = express();
+  app.use(shutdown.middleware);
+  app.get('/slow', async (req, res) => {
+    started.resolve();
+    await release.promise;
+    res.json({ ok: true });
+  });
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.closeAllConnections());
+  shutdown.setServer(server);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const slow = fetch(`${base}/slow`);
+  await started.promise;
+  const done = shutdown.begin('SIGTERM received');
+
+  // The listener is closed now; a request arriving on an open keep-alive socket gets a 503
+  const refused = { headers: {} };
+  const res = {
+    set: headers => Object.assign(refused.headers, headers),
+    status: code => { refused.status = code; return res; },
+    json: body => { refused.body = body; }
+  };
+  shutdown.middleware({}, res, () => assert.fail('request was let through while draining'));
+  assert.equal(refused.status, 503);
+  assert.equal(refused.headers['Retry-After'], '5');
+  await assert.rejects(fetch(`${base}/fast`));
+  assert.deepEqual(exits, []);
+
+  release.resolve();
+  assert.equal((await slow).status, 200);
+  await done;
+  assert.deepEqual(exits, [0]);
+});
+
+test('waits for tracked background tasks before cleaning up', async () => {
+  const { shutdown, exits } = createCoordinator();
+  const task = deferred();
+  const order = [];
+
+  shutdown.track(() => task.promise.then(() => order.push('task')), 'email send');
+  shutdown.onShutdown('MongoDB', () => order.push('cleanup'));
+
+  const done = shutdown.begin('SIGTERM received');
+  await tick();
+  assert.deepEqual(exits, []);
+  assert.equal(shutdown.isShuttingDown(), true);
+
+  task.resolve();
+  await done;
+  assert.deepEqual(order, ['task', 'cleanup']);
+  assert.deepEqual(exits, [0]);
+});
+
+test('track() hands back the work\'s own result and errors', async () => {
+  const { shutdown } = createCoordinator();
+  assert.equal(await shutdown.track(() => 42), 42);
+  await assert.rejects(shutdown.track(Promise.reject(new Error('boom'))), /boom/);
+});
+
+test('gives up waiting after timeoutMs and names the unfinished tasks', async () => {
+  const { shutdown, logger, exits } = createCoordinator({ timeoutMs: 150 });
+  shutdown.track(new Promise(() => {}), 'webhook delivery');
+
+  const startedAt = Date.now();
+  await shutdown.begin('SIGTERM received');
+
+  assert.ok(Date.now() - startedAt >= 150);
+  assert.deepEqual(exits, [0]);
+  assert.ok(logger.lines.some(({ level, msg }) => level === 'warn' && msg.includes('webhook delivery')));
+});
+
+test('a cleanup step that hangs or fails does not stop the ones after it', async () => {
+  const { shutdown, logger, exits } = createCoordinator({ cleanupTimeoutMs: 50 });
+  const ran = [];
+
+  shutdown.onShutdown('MongoDB', () => new Promise(() => {}));
+  shutdown.onShutdown('Outbox', () => { throw new Error('outbox broke'); });
+  shutdown.onShutdown('Metrics', () => ran.push('Metrics'));
+
+  await shutdown.begin('SIGTERM received');
+
+  assert.deepEqual(ran, ['Metrics']);
+  assert.deepEqual(exits, [0]);
+  const errors = logger.lines.filter(({ level }) => level === 'error').map(({ msg }) => msg);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /"MongoDB" failed.*timed out after 50ms/);
+  assert.match(errors[1], /"Outbox" failed.*outbox broke/);
+});
+
+test('a shutdown caused by a crash exits with the given code', async () => {
+  const { shutdown, exits } = createCoordinator();
+  await shutdown.begin('Uncaught exception', 1);
+  assert.deepEqual(exits, [1]);
+});
+
+test('beginning twice runs the shutdown once', async () => {
+  const { shutdown, exits } = createCoordinator();
+  const first = shutdown.begin('SIGTERM received');
+  assert.equal(shutdown.begin('Unhandled rejection', 1), first);
+  await first;
+  assert.deepEqual(exits, [0]);
+});
+
+test('a second signal exits immediately with code 1', async () => {
+  const { shutdown, exits } = createCoordinator();
+  const task = deferred();
+  shutdown.track(task.promise);
+
+  const done = shutdown.handleSignal('SIGTERM');
+  await tick();
+  shutdown.handleSignal('SIGINT');
+  assert.deepEqual(exits, [1]);
+
+  task.resolve();
+  await done;
+});
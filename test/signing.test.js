@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const {
+  safeEqual,
+  createSignedToken,
+  readSignedToken,
+  signReportLink,
+  verifyReportLink,
+  signWebhookPayload
+} = require('../helpers/signing');
+
+const SECRET = 'test-secret';
+
+function tamperPayload(token, changes) {
+  const [encodedPayload, signature] = token.split('.');
+  const payload = { ...JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8')), ...changes };
+  return `${Buffer.from(JSON.stringify(payload)).toString('base64url')}.${signature}`;
+}
+
+test('safeEqual compares strings of any length', () => {
+  assert.equal(safeEqual('abc', 'abc'), true);
+  assert.equal(safeEqual('abc', 'abd'), false);
+  assert.equal(safeEqual('abc', 'abcd'), false);
+  assert.equal(safeEqual('', undefined), false);
+});
+
+test('signed tokens round-trip their payload', () => {
+  const payload = { sub: 'jane@acme.com', role: 'admin', exp: 1700000000 };
+  assert.deepEqual(readSignedToken(createSignedToken(payload, SECRET), SECRET), payload);
+});
+
+test('signed tokens keep the format already issued to clients', () => {
+  const payload = { form: 'contact', jti: 'abc' };
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(`form:${encodedPayload}`).digest('base64url');
+  assert.equal(createSignedToken(payload, SECRET, { prefix: 'form:' }), `${encodedPayload}.${signature}`);
+});
+
+test('tampered, truncated and foreign tokens are rejected', () => {
+  const token = createSignedToken({ sub: 'jane', role: 'viewer' }, SECRET);
+  const [encodedPayload, signature] = token.split('.');
+
+  assert.equal(readSignedToken(tamperPayload(token, { role: 'admin' }), SECRET), null);
+  assert.equal(readSignedToken(`${encodedPayload}.${signature.slice(0, -2)}xx`, SECRET), null);
+  assert.equal(readSignedToken(encodedPayload, SECRET), null);
+  assert.equal(readSignedToken(token, 'other-secret'), null);
+  assert.equal(readSignedToken(token, undefined), null);
+  assert.equal(readSignedToken(undefined, SECRET), null);
+});
+
+test('a token signed with one prefix does not verify under another', () => {
+  const adminToken = createSignedToken({ form: 'contact', jti: 'x' }, SECRET);
+  assert.equal(readSignedToken(adminToken, SECRET, { prefix: 'form:' }), null);
+
+  const formToken = createSignedToken({ role: 'admin' }, SECRET, { prefix: 'form:' });
+  assert.equal(readSignedToken(formToken, SECRET), null);
+});
+
+test('a correctly signed token whose payload is not JSON is rejected', () => {
+  const encodedPayload = Buffer.from('not json').toString('base64url');
+  const signature = crypto.createHmac('sha256', SECRET).update(encodedPayload).digest('base64url');
+  assert.equal(readSignedToken(`${encodedPayload}.${signature}`, SECRET), null);
+});
+
+test('report links verify for the same report until they expire', () => {
+  const now = Date.parse('2024-06-01T12:00:00Z');
+  const expires = Math.floor(now / 1000) + 60;
+  const token = signReportLink(SECRET, 'roi', 'abc123', expires);
+
+  assert.equal(verifyReportLink(SECRET, 'roi', 'abc123', { expires: String(expires), token }, now), true);
+  assert.equal(verifyReportLink(SECRET, 'roi', 'abc123', { expires, token }, now + 61 * 1000), false);
+  assert.equal(verifyReportLink(SECRET, 'roi', 'other', { expires, token }, now), false);
+  assert.equal(verifyReportLink(SECRET, 'quiz', 'abc123', { expires, token }, now), false);
+  assert.equal(verifyReportLink(SECRET, 'roi', 'abc123', { expires: expires + 3600, token }, now), false);
+  assert.equal(verifyReportLink('other-secret', 'roi', 'abc123', { expires, token }, now), false);
+  assert.equal(verifyReportLink(undefined, 'roi', 'abc123', { expires, token }, now), false);
+});
+
+test('webhook signatures are the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const body = JSON.stringify({ event: 'contact.created' });
+  const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signWebhookPayload('whsec_test', 1700000000, body), expected);
+  assert.notEqual(signWebhookPayload('whsec_test', 1700000001, body), expected);
+});
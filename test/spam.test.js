@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_SPAM_CONFIG,
+  checkSubmission,
+  fingerprintPayload,
+  countLinks,
+  isDisposableEmail
+} = require('../helpers/spam');
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+test('a normal submission has no reasons', () => {
+  const reasons = checkSubmission({
+    body: { formStartedAt: NOW - 30 * 1000 },
+    email: 'jane@acme.com',
+    text: ['We would like an offsite for 40 people. See https://acme.com'],
+    now: NOW
+  });
+  assert.deepEqual(reasons, []);
+});
+
+test('a filled-in honeypot is flagged, an empty one is not', () => {
+  assert.deepEqual(checkSubmission({ body: { website: 'http://spam.example' }, now: NOW }), ['honeypot']);
+  assert.deepEqual(checkSubmission({ body: { website: '   ' }, now: NOW }), []);
+});
+
+test('submissions sooner than minSubmitMs after the form loaded are too fast', () => {
+  assert.deepEqual(checkSubmission({ body: { formStartedAt: NOW - 500 }, now: NOW }), ['too-fast']);
+  assert.deepEqual(checkSubmission({ body: { formStartedAt: new Date(NOW - 500).toISOString() }, now: NOW }), ['too-fast']);
+  // Older clients don't send the field at all
+  assert.deepEqual(checkSubmission({ body: {}, now: NOW }), []);
+});
+
+test('a server-known startedAt overrides the client-sent formStartedAt', () => {
+  const body = { formStartedAt: NOW - 60 * 1000 };
+  assert.deepEqual(checkSubmission({ body, startedAt: NOW - 100, now: NOW }), ['too-fast']);
+});
+
+test('disposable domains match the domain and any of its subdomains', () => {
+  assert.equal(isDisposableEmail('bot@mailinator.com', DEFAULT_SPAM_CONFIG.disposableDomains), true);
+  assert.equal(isDisposableEmail('bot@eu.Mailinator.com', DEFAULT_SPAM_CONFIG.disposableDomains), true);
+  assert.equal(isDisposableEmail('jane@notmailinator.com', DEFAULT_SPAM_CONFIG.disposableDomains), false);
+  assert.equal(isDisposableEmail('not-an-email', DEFAULT_SPAM_CONFIG.disposableDomains), false);
+});
+
+test('links are counted across all free-text fields', () => {
+  assert.equal(countLinks('see https://a.example and www.b.example, not c.example'), 2);
+  assert.equal(countLinks(undefined), 0);
+
+  const reasons = checkSubmission({ text: ['http://a.example http://b.example', 'http://c.example'], now: NOW });
+  assert.deepEqual(reasons, ['too-many-links']);
+});
+
+test('config overrides are honoured', () => {
+  const config = { ...DEFAULT_SPAM_CONFIG, honeypotField: 'nickname', maxLinks: 0, disposableDomains: ['acme.com'] };
+  const reasons = checkSubmission({ body: { nickname: 'x' }, email: 'jane@acme.com', text: ['https://a.example'], now: NOW }, config);
+  assert.deepEqual(reasons, ['honeypot', 'disposable-email', 'too-many-links']);
+});
+
+test('payload fingerprints ignore key order, case and surrounding whitespace but not the form', () => {
+  const a = fingerprintPayload('contact', { fullName: 'Jane', message: 'Hello ' });
+  const b = fingerprintPayload('contact', { message: ' hello', fullName: 'JANE' });
+  assert.equal(a, b);
+  assert.notEqual(a, fingerprintPayload('roiCalculator', { fullName: 'Jane', message: 'Hello ' }));
+  assert.notEqual(a, fingerprintPayload('contact', { fullName: 'Jane', message: 'Hello again' }));
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { EMAIL_PATTERN, validate, fromMongooseError } = require('../helpers/validation');
+
+test('values are trimmed and coerced to their declared types', () => {
+  const schema = {
+    fields: {
+      name: { type: 'string' },
+      code: { type: 'string' },
+      amount: { type: 'number' },
+      count: { type: 'integer' },
+      optIn: { type: 'boolean' }
+    }
+  };
+  const { value } = validate(schema, { name: '  Jane ', code: 42, amount: '12.5', count: '3', optIn: 'false' });
+  assert.deepEqual(value, { name: 'Jane', code: '42', amount: 12.5, count: 3, optIn: false });
+});
+
+test('values of the wrong type are reported per field', () => {
+  const schema = {
+    fields: {
+      name: { type: 'string' },
+      amount: { type: 'number', min: 0, max: 10 },
+      count: { type: 'integer' },
+      optIn: { type: 'boolean' }
+    }
+  };
+  const { errors } = validate(schema, { name: { first: 'Jane' }, amount: 11, count: '1.5', optIn: 'yes' });
+  assert.deepEqual(errors, [
+    { field: 'name', reason: 'must be a string' },
+    { field: 'amount', reason: 'must be at most 10' },
+    { field: 'count', reason: 'must be a whole number' },
+    { field: 'optIn', reason: 'must be true or false' }
+  ]);
+  assert.deepEqual(validate(schema, { amount: 'Infinity' }).errors, [{ field: 'amount', reason: 'must be a number' }]);
+});
+
+test('required fields reject missing and whitespace-only values; defaults fill the rest', () => {
+  const schema = {
+    fields: {
+      name: { type: 'string', required: true },
+      source: { type: 'string', default: 'website' },
+      tags: { type: 'array', default: () => [] },
+      note: { type: 'string', nullable: true }
+    }
+  };
+  assert.deepEqual(validate(schema, { name: '   ' }).errors, [{ field: 'name', reason: 'is required' }]);
+  assert.deepEqual(validate(schema, { name: 'Jane', note: null }).value, { name: 'Jane', source: 'website', tags: [], note: null });
+});
+
+test('string length, pattern and enum rules apply after trimming', () => {
+  const schema = {
+    fields: {
+      name: { type: 'string', minLength: 2, maxLength: 5 },
+      slug: { type: 'string', pattern: /^[a-z-]+$/, patternReason: 'must be lowercase letters and dashes' },
+      plan: { type: 'string', enum: ['basic', 'pro'] }
+    }
+  };
+  assert.deepEqual(validate(schema, { name: ' A ', slug: 'Bad Slug', plan: 'gold' }).errors, [
+    { field: 'name', reason: 'must be at least 2 characters' },
+    { field: 'slug', reason: 'must be lowercase letters and dashes' },
+    { field: 'plan', reason: 'must be one of: basic, pro' }
+  ]);
+  assert.deepEqual(validate(schema, { name: 'Abcdef' }).errors, [{ field: 'name', reason: 'must be at most 5 characters' }]);
+});
+
+test('uppercase strings are normalised before the enum check', () => {
+  const schema = { fields: { currency: { type: 'string', enum: ['EUR', 'USD'], uppercase: true } } };
+  assert.deepEqual(validate(schema, { currency: ' eur ' }).value, { currency: 'EUR' });
+  assert.deepEqual(validate(schema, { currency: 'gbp' }).errors, [{ field: 'currency', reason: 'must be one of: EUR, USD' }]);
+});
+
+test('unknown fields are rejected unless the schema allows them', () => {
+  const fields = { name: { type: 'string' } };
+  assert.deepEqual(validate({ fields }, { name: 'Jane', isAdmin: true }).errors, [{ field: 'isAdmin', reason: 'is not allowed' }]);
+  assert.deepEqual(validate({ fields, allowUnknown: true }, { name: 'Jane', isAdmin: true }).value, { name: 'Jane', isAdmin: true });
+});
+
+test('arrays wrap single values and validate each item', () => {
+  const schema = { fields: { tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, maxLength: 2 } } };
+  assert.deepEqual(validate(schema, { tags: 'a' }).value, { tags: ['a'] });
+  assert.deepEqual(validate(schema, { tags: ['a', 'c'] }).errors, [{ field: 'tags[1]', reason: 'must be one of: a, b' }]);
+  assert.deepEqual(validate(schema, { tags: ['a', 'b', 'a'] }).errors, [{ field: 'tags', reason: 'must have at most 2 items' }]);
+});
+
+test('nested objects and maps report errors with the full path', () => {
+  const schema = {
+    fields: {
+      company: { type: 'object', fields: { size: { type: 'integer', min: 1 } } },
+      answers: { type: 'object', values: { type: 'number' } }
+    }
+  };
+  assert.deepEqual(validate(schema, { company: { size: 0, extra: 1 }, answers: { q1: 4, q2: 'x' } }).errors, [
+    { field: 'company.extra', reason: 'is not allowed' },
+    { field: 'company.size', reason: 'must be at least 1' },
+    { field: 'answers.q2', reason: 'must be a number' }
+  ]);
+  assert.deepEqual(validate(schema, { company: [] }).errors, [{ field: 'company', reason: 'must be an object' }]);
+});
+
+test('check() runs only once every field is valid, on the coerced values', () => {
+  const schema = {
+    fields: { min: { type: 'number' }, max: { type: 'number' } },
+    check: ({ min, max }) => (min > max ? [{ field: 'min', reason: 'must not be greater than max' }] : [])
+  };
+  assert.deepEqual(validate(schema, { min: '5', max: '2' }).errors, [{ field: 'min', reason: 'must not be greater than max' }]);
+  assert.deepEqual(validate(schema, { min: 'x', max: '2' }).errors, [{ field: 'min', reason: 'must be a number' }]);
+  assert.deepEqual(validate(schema, { min: '1', max: '2' }).value, { min: 1, max: 2 });
+});
+
+test('a body that is not a JSON object is rejected as a whole', () => {
+  const schema = { fields: { name: { type: 'string' } } };
+  for (const body of [[], 'name=Jane', 42, null]) {
+    assert.deepEqual(validate(schema, body).errors, [{ field: '(body)', reason: 'must be a JSON object' }]);
+  }
+  assert.deepEqual(validate(schema, undefined).value, {});
+});
+
+test('EMAIL_PATTERN accepts ordinary addresses and rejects malformed ones', () => {
+  for (const email of ['jane@acme.com', 'jane.doe+offsite@mail.acme.co.uk', "o'neil@acme.io"]) {
+    assert.match(email, EMAIL_PATTERN);
+  }
+  for (const email of ['jane', 'jane@acme', 'jane@acme.c', 'jane@@acme.com', 'jane doe@acme.com', 'jane@acme..com', '@acme.com']) {
+    assert.doesNotMatch(email, EMAIL_PATTERN);
+  }
+});
+
+test('EMAIL_PATTERN stays fast on hostile input', () => {
+  const inputs = [
+    `a@${'a.'.repeat(50000)}`,
+    `a@${'a'.repeat(50000)}`,
+    `${'a'.repeat(50000)}@`,
+    `a@${'.'.repeat(50000)}x`,
+    `${'a'.repeat(50000)}!`,
+    `a@${'a-'.repeat(25000)}!`
+  ];
+  const started = process.hrtime.bigint();
+  for (const input of inputs) EMAIL_PATTERN.test(input);
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  assert.ok(elapsedMs < 200, `took ${elapsedMs.toFixed(0)}ms`);
+});
+
+test('fromMongooseError maps schema errors to validate() errors', () => {
+  const Model = mongoose.model('ValidationTestLead', new mongoose.Schema({
+    workEmail: { type: String, required: true },
+    employees: { type: Number, min: [1, 'must be at least 1'] }
+  }));
+  const error = new Model({ employees: 0 }).validateSync();
+
+  assert.deepEqual(fromMongooseError(error).sort((a, b) => a.field.localeCompare(b.field)), [
+    { field: 'employees', reason: 'must be at least 1' },
+    { field: 'workEmail', reason: 'is required' }
+  ]);
+  assert.deepEqual(fromMongooseError(new Error('boom')), []);
+});